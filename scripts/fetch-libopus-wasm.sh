@@ -0,0 +1,27 @@
+#!/bin/sh
+# Opus 인코딩 Worker 가 사용하는 libopus WASM 빌드 (src/libopus-encoder.wasm) 다시 받기
+#
+# opus-encdec 0.1.1 (libopus 1.3.1, Emscripten 2.0.14) 의 dist/libopus-encoder.wasm.wasm
+# exports: memory, opus_encoder_create, opus_encoder_ctl, opus_encode_float, opus_encoder_destroy, malloc, free
+# imports: env.{emscripten_resize_heap, emscripten_memcpy_big, abort, setTempRet0},
+#          wasi_snapshot_preview1.{fd_close, fd_write, fd_seek}
+#
+# usage: sh scripts/fetch-libopus-wasm.sh
+set -eu
+
+VERSION="0.1.1"
+TARBALL_SHA256="703f748c978effd9cfd69cde759091bcaaad5e7e1050f4b2dfce12794c905be0"
+WASM_SHA256="8e2c3047726d6efb7d4366d5defb4594641029e1d43c888b896dae25a3221768"
+
+ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+WORK="$(mktemp -d)"
+trap 'rm -rf "$WORK"' EXIT
+
+cd "$WORK"
+npm pack --silent "opus-encdec@$VERSION" >/dev/null
+echo "$TARBALL_SHA256  opus-encdec-$VERSION.tgz" | sha256sum -c -
+tar xzf "opus-encdec-$VERSION.tgz"
+echo "$WASM_SHA256  package/dist/libopus-encoder.wasm.wasm" | sha256sum -c -
+
+cp package/dist/libopus-encoder.wasm.wasm "$ROOT/src/libopus-encoder.wasm"
+cp package/LICENSE.md "$ROOT/src/libopus-encoder.LICENSE.md"
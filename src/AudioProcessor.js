@@ -6,7 +6,370 @@ const worker = function () {
         constructor(options) {
             super();
             this.bufferSize = options.processorOptions.bufferSize;
-            this.buffer = new Float32Array(this.bufferSize);
+            this.channelCount = options.processorOptions.channelCount || 1;
+            // 목표 샘플링 레이트, 다를 경우 Worklet 에서 리샘플링
+            this.targetSampleRate =
+                options.processorOptions.sampleRate || sampleRate;
+            this.resamplerQuality = options.processorOptions.resamplerQuality;
+            this.resampling =
+                this.targetSampleRate !== sampleRate &&
+                typeof Resampler !== "undefined";
+            // 리샘플링된 프레임 최대 길이 (bufferSize + render quantum 1개)
+            this.resampledSize =
+                Math.ceil(
+                    ((this.bufferSize + 128) * this.targetSampleRate) / sampleRate
+                ) + 2;
+
+            // 채널별 링 버퍼 (render quantum -> bufferSize 프레임)
+            // 풀이 비어 있는 동안 프레임을 쌓아 두고, 넘칠 경우 가장 오래된 프레임부터 버림
+            this.ringSize = this.bufferSize * 4;
+            this.rings = [];
+            // 채널별 리샘플링된 링 버퍼 (render quantum 마다 리샘플링)
+            this.resampledRings = [];
+            for (let channel = 0; channel < this.channelCount; channel++) {
+                this.rings.push(new Float32Array(this.ringSize));
+                this.resampledRings.push(
+                    new Float32Array(this.resampling ? this.resampledSize * 4 : 0)
+                );
+            }
+            // bufferSize 프레임 경계별 리샘플링된 링 버퍼 쓰기 위치 (프레임 번호 % 길이)
+            this.frameEnds = new Float64Array(this.ringSize / this.bufferSize + 1);
+            // 전송용 프레임 풀 (메인 스레드 또는 인코딩 Worker 에서 사용 후 반환)
+            // process() 에서는 할당하지 않으므로 풀이 비어 있으면 반환될 때까지 대기
+            this.pool = [];
+            for (let i = 0; i < 4; i++) {
+                this.pool.push(this.createFrame());
+            }
+            // 인코딩 Worker 직접 전송 시 메인 스레드에 보내는 메시지 (구조화된 복제이므로 재사용)
+            this.encodedMessage = { encoded: 0, dropped: 0 };
+            // 입력 레벨 (levelInterval ms 마다 전송, 0 -> 사용 안함)
+            // render quantum 마다 링 버퍼에 쓸 때 측정하므로 버려진 프레임도 포함
+            this.levelMeter =
+                options.processorOptions.levelInterval > 0 &&
+                typeof LevelMeter !== "undefined"
+                    ? new LevelMeter(
+                          this.channelCount,
+                          sampleRate,
+                          options.processorOptions.levelInterval
+                      )
+                    : null;
+            // 레벨 메시지 (구조화된 복제이므로 재사용)
+            this.levelMessage = this.levelMeter
+                ? { level: this.levelMeter.createLevel() }
+                : null;
+            // SharedArrayBuffer 링 버퍼 (cross-origin isolated 페이지), 없을 경우 postMessage
+            this.sharedRing =
+                options.processorOptions.sharedRing &&
+                typeof SharedRingBuffer !== "undefined"
+                    ? new SharedRingBuffer(options.processorOptions.sharedRing)
+                    : null;
+            this.reset();
+            // 링 버퍼는 녹음 시작 (reset) 전 데이터를 버릴 수 없으므로 쓰기 중지
+            this.flushed = Boolean(this.sharedRing);
+            // 인코딩 Worker 직접 전송 포트 (프레임을 transfer, 인코딩 후 반환)
+            this.encoderPort = null;
+
+            this.port.onmessage = (e) => {
+                if (e.data.command === "reset") {
+                    this.reset();
+                } else if (e.data.command === "flush") {
+                    this.flush();
+                } else if (e.data.command === "recycle") {
+                    this.recycle(e.data);
+                } else if (e.data.command === "encoder") {
+                    this.encoderPort = e.data.port;
+                    // 인코딩 Worker 가 인코딩 직후 반환한 프레임
+                    this.encoderPort.onmessage = (event) => {
+                        if (event.data[0] === "recycle") {
+                            this.recycle(event.data[1]);
+                        }
+                    };
+                    // 녹음 시작 (reset) 전 데이터가 인코딩되지 않도록 전송 중지
+                    this.flushed = true;
+                }
+            };
+        }
+
+        /**
+         * 전송용 프레임 (메시지, 인코딩 Worker 메시지, transfer 목록)
+         * process() 에서 할당하지 않도록 메시지와 transfer 목록까지 미리 생성
+         * @param {Array<Float32Array>} [buffers] 채널별 버퍼 (없을 경우 생성)
+         * @param {Array<Float32Array>} [resampledBuffers] 채널별 리샘플링된 버퍼 (없을 경우 생성)
+         * @returns {Object}
+         */
+        createFrame(buffers, resampledBuffers) {
+            if (!buffers) {
+                buffers = [];
+                resampledBuffers = this.resampling ? [] : undefined;
+                for (let channel = 0; channel < this.channelCount; channel++) {
+                    buffers.push(new Float32Array(this.bufferSize));
+                    if (resampledBuffers) {
+                        resampledBuffers.push(
+                            new Float32Array(this.resampledSize)
+                        );
+                    }
+                }
+            }
+            let message = {
+                buffers: buffers,
+                resampledBuffers: resampledBuffers,
+                resampledLength: 0,
+                encoded: undefined,
+                dropped: 0,
+            };
+            return {
+                message: message,
+                encoderMessage: ["frame", message],
+                transfer: buffers
+                    .concat(resampledBuffers || [])
+                    .map((buffer) => buffer.buffer),
+            };
+        }
+
+        /**
+         * 메인 스레드에서 반환된 프레임을 풀에 추가
+         * @param {Object} data
+         */
+        recycle(data) {
+            let valid = (buffers, length) =>
+                Array.isArray(buffers) &&
+                buffers.length === this.channelCount &&
+                buffers.every((buffer) => buffer.length === length);
+            if (
+                !valid(data.buffers, this.bufferSize) ||
+                (this.resampling &&
+                    !valid(data.resampledBuffers, this.resampledSize))
+            ) {
+                return;
+            }
+            this.pool.push(
+                this.createFrame(
+                    data.buffers,
+                    this.resampling ? data.resampledBuffers : undefined
+                )
+            );
+        }
+
+        /**
+         * 링 버퍼, 리샘플러 초기화
+         */
+        reset() {
+            // 링 버퍼 쓰기 / 읽기 위치 (누적 프레임 수)
+            this.writeIndex = 0;
+            this.readIndex = 0;
+            this.resampledWriteIndex = 0;
+            this.resampledReadIndex = 0;
+            // 기록된 프레임 경계 수, 링 버퍼가 넘쳐 버린 프레임 수
+            this.frameEndCount = 0;
+            this.dropped = 0;
+            // 채널별 리샘플러 (버퍼 사이 상태 유지), 입력 / 출력 샘플 수
+            // sinc 테이블 계산이 process() 에서 일어나지 않도록 미리 생성
+            this.resamplers = [];
+            if (this.resampling) {
+                for (let channel = 0; channel < this.channelCount; channel++) {
+                    this.resamplers.push(
+                        new Resampler(
+                            sampleRate,
+                            this.targetSampleRate,
+                            1,
+                            new Float32Array(128),
+                            this.resamplerQuality
+                        )
+                    );
+                }
+            }
+            this.inputLength = 0;
+            this.outputLength = 0;
+            // flush 후 다음 녹음 (reset) 까지 전송 중지
+            this.flushed = false;
+            if (this.levelMeter) {
+                this.levelMeter.reset();
+            }
+        }
+
+        /**
+         * render quantum 리샘플링 후 리샘플링된 링 버퍼에 쓰기
+         * (버퍼 단위로 리샘플링하면 한 render quantum 안에 처리 시간이 몰리므로 나누어 처리)
+         * @param {Number} channel
+         * @param {Float32Array} buffer render quantum
+         * @returns {Number} 리샘플링된 프레임 수
+         * @private
+         */
+        resampleToRing(channel, buffer) {
+            let resampler = this.resamplers[channel];
+            let length = resampler.processToOutputBuffer(buffer);
+            this.writeRing(
+                this.resampledRings[channel],
+                this.resampledWriteIndex,
+                resampler.outputBuffer,
+                length
+            );
+            return length;
+        }
+
+        /**
+         * 리샘플링된 링 버퍼에서 end 위치까지 복사
+         * @param {(Array<Float32Array>|undefined)} resampledBuffers 출력 버퍼
+         * @param {Number} end 읽기 끝 위치 (누적 프레임 수)
+         * @returns {Number} 복사한 프레임 수, 샘플링 레이트가 같을 경우 0
+         */
+        readResampled(resampledBuffers, end) {
+            if (!this.resampling) {
+                return 0;
+            }
+            let length = end - this.resampledReadIndex;
+            for (let channel = 0; channel < this.channelCount; channel++) {
+                this.readRing(
+                    this.resampledRings[channel],
+                    this.resampledReadIndex,
+                    resampledBuffers[channel],
+                    length
+                );
+            }
+            this.resampledReadIndex = end;
+            return length;
+        }
+
+        /**
+         * readIndex 에서 시작하는 bufferSize 프레임의 리샘플링된 링 버퍼 끝 위치
+         * @returns {Number}
+         * @private
+         */
+        frameEnd() {
+            let frame = this.readIndex / this.bufferSize;
+            return this.frameEnds[frame % this.frameEnds.length];
+        }
+
+        /**
+         * 링 버퍼가 넘칠 경우 가장 오래된 bufferSize 프레임 버림
+         * @private
+         */
+        dropFrame() {
+            if (this.resampling) {
+                this.resampledReadIndex = this.frameEnd();
+            }
+            this.readIndex += this.bufferSize;
+            this.dropped += this.bufferSize;
+        }
+
+        /**
+         * 링 버퍼에 쓰기
+         * @param {Float32Array} ring
+         * @param {Number} position 쓰기 위치 (누적 프레임 수)
+         * @param {Float32Array} buffer
+         * @param {Number} length 프레임 수
+         * @private
+         */
+        writeRing(ring, position, buffer, length) {
+            let index = position % ring.length;
+            for (let i = 0; i < length; i++) {
+                ring[index] = buffer[i];
+                if (++index === ring.length) {
+                    index = 0;
+                }
+            }
+        }
+
+        /**
+         * 링 버퍼에서 읽기
+         * @param {Float32Array} ring
+         * @param {Number} position 읽기 위치 (누적 프레임 수)
+         * @param {Float32Array} buffer 출력 버퍼
+         * @param {Number} length 프레임 수
+         * @private
+         */
+        readRing(ring, position, buffer, length) {
+            let index = position % ring.length;
+            for (let i = 0; i < length; i++) {
+                buffer[i] = ring[index];
+                if (++index === ring.length) {
+                    index = 0;
+                }
+            }
+        }
+
+        /**
+         * 링 버퍼에서 프레임 복사
+         * @param {Array<Float32Array>} buffers 출력 버퍼
+         * @param {Number} length 프레임 수
+         */
+        readFromRings(buffers, length) {
+            for (let channel = 0; channel < this.channelCount; channel++) {
+                this.readRing(
+                    this.rings[channel],
+                    this.readIndex,
+                    buffers[channel],
+                    length
+                );
+            }
+            this.readIndex += length;
+        }
+
+        /**
+         * 마지막 부분 버퍼와 리샘플러에 남은 출력 (필터 지연) 전송 후 초기화
+         */
+        flush() {
+            // 전송하지 못한 프레임 모두 (풀이 비어 있던 경우 bufferSize 이상)
+            let length = this.writeIndex - this.readIndex;
+            let resampledLength =
+                this.resampledWriteIndex - this.resampledReadIndex;
+            let tailLength = this.resampling
+                ? Math.max(
+                      0,
+                      Math.round(
+                          (this.inputLength * this.targetSampleRate) / sampleRate
+                      ) - this.outputLength
+                  )
+                : 0;
+            let buffers = [];
+            let resampledBuffers = this.resampling ? [] : undefined;
+            for (let channel = 0; channel < this.channelCount; channel++) {
+                buffers.push(new Float32Array(length));
+                if (resampledBuffers) {
+                    resampledBuffers.push(
+                        new Float32Array(resampledLength + tailLength)
+                    );
+                }
+            }
+            this.readFromRings(buffers, length);
+
+            if (resampledBuffers) {
+                this.readResampled(resampledBuffers, this.resampledWriteIndex);
+                if (tailLength > 0) {
+                    resampledBuffers.forEach((buffer, channel) => {
+                        buffer.set(
+                            this.resamplers[channel].flush(tailLength),
+                            resampledLength
+                        );
+                    });
+                }
+            }
+            if (this.sharedRing) {
+                let output = resampledBuffers || buffers;
+                this.sharedRing.write(output, output[0].length);
+                this.port.postMessage({ flushed: true });
+            } else if (this.encoderPort) {
+                // 남은 출력 뒤에 같은 채널로 flush 응답 전송
+                // (인코딩 Worker 가 앞의 프레임을 모두 처리한 후 메인 스레드에 전달하므로 이후 dump 순서 보장)
+                let output = resampledBuffers || buffers;
+                let encoded = output[0].length;
+                if (encoded > 0) {
+                    this.encoderPort.postMessage(
+                        ["encode", output],
+                        output.map((buffer) => buffer.buffer)
+                    );
+                }
+                this.encoderPort.postMessage(["flushed", encoded, this.dropped]);
+            } else {
+                this.port.postMessage({
+                    flushed: true,
+                    buffers: buffers,
+                    resampledBuffers: resampledBuffers,
+                    dropped: this.dropped,
+                });
+            }
+            this.reset();
+            this.flushed = true;
         }
 
         /**
@@ -16,14 +379,114 @@ const worker = function () {
          * @returns {boolean}
          */
         process(inputList, outputList) {
-            if (inputList[0].length > 0 && inputList[0][0].length > 0) {
-                let inputBuffer = inputList[0][0];
-                this.pushToBuffer(inputBuffer);
+            if (this.flushed) {
+                return true;
+            }
+            // 연결된 모든 입력의 채널 수, 프레임 길이
+            let inputChannelCount = 0;
+            let frameLength = 0;
+            for (let i = 0; i < inputList.length; i++) {
+                if (inputList[i].length > 0) {
+                    inputChannelCount += inputList[i].length;
+                    frameLength = inputList[i][0].length;
+                }
+            }
+            if (inputChannelCount > 0 && frameLength > 0) {
+                // 풀이 비어 전송하지 못한 프레임으로 링 버퍼가 넘칠 경우 가장 오래된 프레임 버림
+                while (
+                    this.writeIndex + frameLength - this.readIndex >
+                    this.ringSize
+                ) {
+                    this.dropFrame();
+                }
+                let resampledLength = 0;
+                for (let channel = 0; channel < this.channelCount; channel++) {
+                    // 입력 채널이 부족할 경우 마지막 채널 복사
+                    let inputBuffer = this.getInputChannel(
+                        inputList,
+                        Math.min(channel, inputChannelCount - 1)
+                    );
+                    this.writeRing(
+                        this.rings[channel],
+                        this.writeIndex,
+                        inputBuffer,
+                        frameLength
+                    );
+                    if (this.levelMeter) {
+                        this.levelMeter.accumulate(
+                            channel,
+                            inputBuffer,
+                            frameLength
+                        );
+                    }
+                    if (this.resampling) {
+                        resampledLength = this.resampleToRing(
+                            channel,
+                            inputBuffer
+                        );
+                    }
+                }
+                this.writeIndex += frameLength;
+                if (this.levelMeter && this.levelMeter.advance(frameLength)) {
+                    this.levelMeter.level(this.levelMessage.level);
+                    this.levelMeter.reset();
+                    this.port.postMessage(this.levelMessage);
+                }
+                if (this.resampling) {
+                    this.resampledWriteIndex += resampledLength;
+                    this.inputLength += frameLength;
+                    this.outputLength += resampledLength;
+                    // 이번 render quantum 에서 채운 프레임의 리샘플링된 끝 위치 기록
+                    while (
+                        (this.frameEndCount + 1) * this.bufferSize <=
+                        this.writeIndex
+                    ) {
+                        this.frameEnds[
+                            this.frameEndCount % this.frameEnds.length
+                        ] = this.resampledWriteIndex;
+                        this.frameEndCount++;
+                    }
+                }
 
-                if (this.buffer.length >= this.bufferSize) {
-                    this.port.postMessage({
-                        buffer: this.buffer,
-                    });
+                // bufferSize 프레임 단위로 전송, ArrayBuffer 는 transfer
+                while (
+                    this.writeIndex - this.readIndex >= this.bufferSize &&
+                    this.pool.length > 0
+                ) {
+                    let frame = this.pool.pop();
+                    let message = frame.message;
+                    let end = this.resampling ? this.frameEnd() : 0;
+                    this.readFromRings(message.buffers, this.bufferSize);
+                    message.resampledLength = this.readResampled(
+                        message.resampledBuffers,
+                        end
+                    );
+                    let output = message.resampledBuffers || message.buffers;
+                    let length = this.resampling
+                        ? message.resampledLength
+                        : this.bufferSize;
+                    if (this.sharedRing) {
+                        // 링 버퍼에 복사 후 프레임 바로 재사용
+                        this.sharedRing.write(output, length);
+                        this.pool.push(frame);
+                        continue;
+                    }
+                    message.dropped = this.dropped;
+                    if (this.encoderPort) {
+                        // 프레임 자체를 transfer, 인코딩 Worker 가 반환할 때까지 풀에서 제외
+                        message.encoded = length;
+                        this.encoderPort.postMessage(
+                            frame.encoderMessage,
+                            frame.transfer
+                        );
+                        // 마커 위치 계산을 위해 메인 스레드에는 샘플 수 바로 전송
+                        this.encodedMessage.encoded = length;
+                        this.encodedMessage.dropped = this.dropped;
+                        this.port.postMessage(this.encodedMessage);
+                        continue;
+                    }
+                    message.encoded = undefined;
+                    this.port.postMessage(message, frame.transfer);
                 }
             }
 
@@ -31,33 +494,21 @@ const worker = function () {
         }
 
         /**
-         * 오디오 RAW 데이터 Buffer
-         * @param {Float32Array} buffer
+         * 입력 채널 (모든 입력의 채널을 순서대로 이어서 index 번째)
+         * @param {Array<Array<Float32Array>>} inputList
+         * @param {Number} index
+         * @returns {Float32Array}
          * @private
          */
-        pushToBuffer(buffer) {
-            if (this.buffer.length >= this.bufferSize) {
-                this.buffer = new Float32Array(0);
+        getInputChannel(inputList, index) {
+            for (let i = 0; i < inputList.length; i++) {
+                if (index < inputList[i].length) {
+                    return inputList[i][index];
+                }
+                index -= inputList[i].length;
             }
-            let mergedData = new Float32Array(
-                this.buffer.length + buffer.length
-            );
-            mergedData.set(this.buffer, 0);
-            mergedData.set(buffer, this.buffer.length);
-            this.buffer = mergedData;
+            return undefined;
         }
-
-        // /**
-        //  * 오디오 RAW 데이터 FIFO Buffer
-        //  * @param {Float32Array} buffer
-        //  * @private
-        //  */
-        // _pushToFifoBuffer(buffer) {
-        //     let mergedData = new Float32Array(this.buffer.length + buffer.length);
-        //     mergedData.set(this.buffer, 0);
-        //     mergedData.set(buffer, this.buffer.length);
-        //     this.buffer = mergedData.slice(buffer.length, mergedData.length);
-        // }
     }
 
     registerProcessor("audio-processor", AudioProcessor);
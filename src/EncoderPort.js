@@ -0,0 +1,87 @@
+/**
+ * EncoderPort
+ * AudioProcessor -> 인코딩 Worker MessageChannel 직접 전송 (메인 스레드를 거치지 않음)
+ * 프레임은 인코딩 직후 AudioProcessor 에 반환하고, 오디오 처리 이벤트용 복사본만 메인 스레드에 전송
+ *
+ * @class
+ */
+export default class EncoderPort {
+    /**
+     * 인코딩 Worker 스크립트 앞에 추가할 소스
+     * @returns {String}
+     */
+    static toWorkerSource() {
+        return `const EncoderPort = ${EncoderPort.toString()};\nEncoderPort.attachToWorker();\n`;
+    }
+
+    /**
+     * 인코딩 Worker 에서 ["port", MessagePort, broadcast] 메시지를 받으면
+     * 포트로 들어오는 메시지를 Worker 의 onmessage 로 전달
+     * ["frame", frame] -> 유효한 길이만 인코딩 후 AudioProcessor 에 반환 (broadcast -> 복사본을 메인 스레드에 전송)
+     * ["flushed", encoded, dropped] -> 앞의 프레임을 모두 인코딩했으므로 메인 스레드에 전달
+     */
+    static attachToWorker() {
+        // Worker 의 onmessage 보다 먼저 등록
+        self.addEventListener("message", (e) => {
+            if (e.data[0] !== "port") {
+                return;
+            }
+            const port = e.data[1];
+            const broadcast = e.data[2];
+            port.onmessage = (event) => {
+                if (event.data[0] === "frame") {
+                    const frame = event.data[1];
+                    const buffers = frame.resampledBuffers || frame.buffers;
+                    const length = frame.resampledBuffers
+                        ? frame.resampledLength
+                        : frame.buffers[0].length;
+                    try {
+                        self.onmessage({
+                            data: [
+                                "encode",
+                                buffers.map((buffer) => buffer.subarray(0, length)),
+                            ],
+                        });
+                        if (broadcast) {
+                            EncoderPort.postCopy(frame, length);
+                        }
+                    } finally {
+                        // 메인 스레드가 바빠도 풀이 비지 않도록 인코딩 직후 반환
+                        port.postMessage(
+                            ["recycle", frame],
+                            frame.buffers
+                                .concat(frame.resampledBuffers || [])
+                                .map((buffer) => buffer.buffer)
+                        );
+                    }
+                } else if (event.data[0] === "flushed") {
+                    self.postMessage(event.data);
+                } else {
+                    self.onmessage(event);
+                }
+            };
+        });
+    }
+
+    /**
+     * 오디오 처리 이벤트용 프레임 복사본을 메인 스레드에 전송 (이미 인코딩됨)
+     * @param {Object} frame AudioProcessor 프레임
+     * @param {Number} length 인코딩한 프레임 수
+     */
+    static postCopy(frame, length) {
+        const copy = {
+            buffers: frame.buffers.map((buffer) => buffer.slice()),
+            resampledBuffers: frame.resampledBuffers
+                ? frame.resampledBuffers.map((buffer) => buffer.slice(0, length))
+                : undefined,
+            resampledLength: frame.resampledLength,
+            encoded: length,
+        };
+        self.postMessage(
+            ["audioprocess", copy],
+            copy.buffers
+                .concat(copy.resampledBuffers || [])
+                .map((buffer) => buffer.buffer)
+        );
+    }
+}
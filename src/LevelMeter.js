@@ -0,0 +1,158 @@
+/**
+ * LevelMeter
+ * 채널별 입력 레벨 (RMS, 피크, dBFS, 클리핑 샘플 수) 계산
+ * AudioProcessor (Worklet) 또는 메인 스레드 (ScriptProcessorNode) 에서 사용
+ *
+ * @class
+ */
+export default class LevelMeter {
+    /**
+     * 입력 레벨
+     * @typedef {Object} AudioLevel
+     * @property {Array<Number>} rms                채널별 RMS (0 ~ 1)
+     * @property {Array<Number>} peak               채널별 피크 절대값 (0 ~ 1, 클리핑 시 1 이상)
+     * @property {Array<Number>} dbfs               채널별 RMS dBFS (무음 -> minDbfs)
+     * @property {Array<Number>} peakDbfs           채널별 피크 dBFS (무음 -> minDbfs)
+     * @property {Array<Number>} clipped            채널별 풀 스케일 (|sample| >= 1) 샘플 수
+     * @property {Number} length                    측정한 프레임 수
+     */
+
+    /**
+     * Worklet 스크립트 앞에 추가할 소스
+     * @returns {String}
+     */
+    static toSource() {
+        return `const LevelMeter = ${LevelMeter.toString()};\n`;
+    }
+
+    /**
+     * @param {Number} channelCount 채널 수
+     * @param {Number} sampleRate 샘플링 레이트
+     * @param {Number} interval 레벨 보고 주기 (ms)
+     * @param {Number} [minDbfs] 무음일 때 dBFS 최소값 {-100}
+     */
+    constructor(channelCount, sampleRate, interval, minDbfs = -100) {
+        this.channelCount = channelCount;
+        this.intervalLength = Math.max(
+            1,
+            Math.round((sampleRate * interval) / 1000)
+        );
+        this.minDbfs = minDbfs;
+        this.sumSquares = new Float64Array(channelCount);
+        this.peak = new Float64Array(channelCount);
+        this.clipped = new Uint32Array(channelCount);
+        this.reset();
+    }
+
+    /**
+     * 누적 값 초기화
+     */
+    reset() {
+        this.length = 0;
+        this.sumSquares.fill(0);
+        this.peak.fill(0);
+        this.clipped.fill(0);
+    }
+
+    /**
+     * 채널별 버퍼 누적, 보고 주기가 지나면 레벨 반환 후 초기화
+     * @param {Array<Float32Array>} buffers 채널별 버퍼
+     * @param {Number} length 프레임 수
+     * @returns {(AudioLevel|undefined)} 레벨, 보고 주기 전일 경우 undefined
+     */
+    process(buffers, length) {
+        for (let channel = 0; channel < this.channelCount; channel++) {
+            this.accumulate(channel, buffers[channel], length);
+        }
+        if (!this.advance(length)) {
+            return undefined;
+        }
+        const level = this.level();
+        this.reset();
+        return level;
+    }
+
+    /**
+     * 한 채널의 버퍼 누적 (할당 없음, 채널마다 호출 후 advance)
+     * @param {Number} channel
+     * @param {Float32Array} buffer
+     * @param {Number} length 프레임 수
+     */
+    accumulate(channel, buffer, length) {
+        let sumSquares = 0;
+        let peak = this.peak[channel];
+        let clipped = 0;
+        for (let i = 0; i < length; i++) {
+            const sample = buffer[i];
+            const magnitude = sample < 0 ? -sample : sample;
+            sumSquares += sample * sample;
+            if (magnitude > peak) {
+                peak = magnitude;
+            }
+            if (magnitude >= 1) {
+                clipped++;
+            }
+        }
+        this.sumSquares[channel] += sumSquares;
+        this.peak[channel] = peak;
+        this.clipped[channel] += clipped;
+    }
+
+    /**
+     * 누적한 프레임 수 증가
+     * @param {Number} length 프레임 수
+     * @returns {Boolean} 보고 주기가 지났는지 여부
+     */
+    advance(length) {
+        this.length += length;
+        return this.length >= this.intervalLength;
+    }
+
+    /**
+     * 누적된 레벨
+     * @param {AudioLevel} [level] 값을 채울 레벨 (Worklet 에서 재사용, 없을 경우 생성)
+     * @returns {AudioLevel}
+     */
+    level(level = this.createLevel()) {
+        level.length = this.length;
+        for (let channel = 0; channel < this.channelCount; channel++) {
+            const rms = this.length
+                ? Math.sqrt(this.sumSquares[channel] / this.length)
+                : 0;
+            const peak = this.peak[channel];
+            level.rms[channel] = rms;
+            level.peak[channel] = peak;
+            level.dbfs[channel] = this.toDbfs(rms);
+            level.peakDbfs[channel] = this.toDbfs(peak);
+            level.clipped[channel] = this.clipped[channel];
+        }
+        return level;
+    }
+
+    /**
+     * 채널 수만큼 채워진 빈 레벨
+     * @returns {AudioLevel}
+     */
+    createLevel() {
+        const values = () => Array.from({ length: this.channelCount }, () => 0);
+        return {
+            rms: values(),
+            peak: values(),
+            dbfs: values(),
+            peakDbfs: values(),
+            clipped: values(),
+            length: 0,
+        };
+    }
+
+    /**
+     * 진폭 -> dBFS (minDbfs 이하 -> minDbfs)
+     * @param {Number} value
+     * @returns {Number}
+     */
+    toDbfs(value) {
+        return value > 0
+            ? Math.max(this.minDbfs, 20 * Math.log10(value))
+            : this.minDbfs;
+    }
+}
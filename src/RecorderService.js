@@ -1,6 +1,20 @@
 import EncoderWav from "./encoder-wav-worker.js";
+import EncoderFlac from "./encoder-flac-worker.js";
+import EncoderMp3 from "./encoder-mp3-worker.js";
+import EncoderOpus from "./encoder-opus-worker.js";
+import EncoderG711 from "./encoder-g711-worker.js";
+import EncoderAdpcm from "./encoder-adpcm-worker.js";
 import AudioProcessor from "./AudioProcessor.js";
 import Resampler from "./Resampler.js";
+import SharedRingBuffer from "./SharedRingBuffer.js";
+import EncoderPort from "./EncoderPort.js";
+import LevelMeter from "./LevelMeter.js";
+
+/**
+ * 등록된 인코딩 Worker (RecorderService.registerEncoder)
+ * @type {Map<String, {workerFn: Function, mimeType: (String|Function)}>}
+ */
+const encoders = new Map();
 
 /**
  * RecorderService
@@ -17,15 +31,27 @@ import Resampler from "./Resampler.js";
  *
  * // Add event listener to get audio buffer data
  * // event.detail.audioBuffer -> AudioBuffer
- * // event.detail.arrayBuffer -> Float32Array
+ * // event.detail.arrayBuffer -> Float32Array (첫번째 채널)
+ * // event.detail.arrayBuffers -> Array<Float32Array> (전체 채널)
  * recorderService.addBufferEventListener((event) =>
  *     wavesurfer.loadDecodedBuffer(event.detail.audioBuffer));
  * // Add event listener for recorded data
  * recorderService.addRecordedEventListener((event) => {
  *     // event.detail.recorded.blob -> Blob
  *     // event.detail.recorded.blobUrl -> String
+ *     // event.detail.recorded.sampleRate, channels, sampleFormat -> 인코딩 Worker 출력 형식
  *     wavesurfer.load(event.detail.recorded.blobUrl);
  * });
+ * // Add event listener for encoded data while recording (config.timeslice)
+ * recorderService.addDataAvailableEventListener((event) => {
+ *     // event.detail.data -> Blob
+ *     upload(event.detail.data);
+ * });
+ * // Add event listener for input level (config.levelInterval)
+ * recorderService.addLevelEventListener((event) => {
+ *     // event.detail.level -> AudioLevel (rms, peak, dbfs, peakDbfs, clipped)
+ *     meter.update(event.detail.level.dbfs[0]);
+ * });
  *
  * // Start recording
  * recorderService.record()
@@ -51,11 +77,29 @@ export default class RecorderService extends EventTarget {
      * @property {Number} outputGain                            오디오 출력 증폭 (MediaRecorder) {1.0}
      * @property {Boolean} callingMode                          전화 모드 {false}
      * @property {Boolean} broadcastAudioProcessEvents          오디오 처리 이벤트 발생 여부 {true}
+     * @property {Number} levelInterval                         입력 레벨 (level, clipping) 이벤트 발생 주기 (ms, 측정 단위보다 짧을 경우 단위마다: AudioWorkletNode -> render quantum, ScriptProcessorNode -> 버퍼, 0 -> 사용 안함) {0}
      * @property {Boolean} enableDynamicsCompressor             오디오 리미터 사용 여부 {true}
      * @property {Boolean} forcePostResampler                   샘플링 레이트 무시 후 강제 리샘플링 활성화 여부 {false}
+     * @property {String} resamplerQuality                      리샘플링 품질 [linear | low | medium | high] (low, medium, high -> windowed-sinc) {linear}
      * @property {Boolean} noAudioWorklet                       AudioWorkletNode 사용 여부 (ScriptProcessorNode -> Deprecated) {false}
+     * @property {Boolean} noSharedArrayBuffer                  SharedArrayBuffer 링 버퍼 사용 안함 여부 (cross-origin isolated 페이지의 AudioWorkletNode 에서 postMessage 대신 사용) {false}
+     * @property {Boolean} directEncoderChannel                 AudioProcessor -> 인코딩 Worker MessageChannel 직접 전송 여부 (메인 스레드가 바빠도 인코딩 유지, AudioWorkletNode 에서만 사용) {false}
      * @property {Boolean} usingMediaRecorder                   MediaRecorder 사용 여부 {window.MediaRecorder}
      * @property {Boolean} makeBlob                             오디오 결과 Blob 생성 여부 {true}
+     * @property {Number} timeslice                             녹음 중 인코딩 데이터 조각 발생 주기 (ms, MediaRecorder, WAV 인코딩 Worker, 0 -> 사용 안함) {0}
+     * @property {String} encoder                               인코딩 Worker 형식 (MediaRecorder 사용하지 않을 경우) [wav | flac | mp3 | opus | mulaw | alaw | adpcm | registerEncoder 로 등록된 이름] (mulaw, alaw -> 8 kHz, 300~3400 Hz 대역 제한) {wav}
+     * @property {Number} wavBitDepth                           WAV 인코딩 비트 심도 [16 | 24 | 32] {16}
+     * @property {String} wavSampleFormat                       WAV 인코딩 샘플 형식 [int | float] (float -> 32-bit) {int}
+     * @property {String} wavContainer                          WAV 출력 형식 [wav | raw] (raw -> 헤더 없는 little-endian PCM) {wav}
+     * @property {Boolean} wavForceRf64                         WAV 항상 RF64 (ds64) 형식 사용 여부 (4 GB 초과 시 자동 전환) {false}
+     * @property {String} wavDither                             WAV 정수 양자화 디더링 [none | tpdf | shaped] (shaped -> TPDF + 1차 노이즈 셰이핑) {none}
+     * @property {Number} flacBitDepth                          FLAC 인코딩 비트 심도 [16 | 24] {16}
+     * @property {Number} mp3Bitrate                            MP3 인코딩 비트레이트 (kbps, CBR) {64}
+     * @property {String} mp3BitrateMode                        MP3 비트레이트 모드 [cbr | vbr] {cbr}
+     * @property {Number} mp3VbrQuality                         MP3 VBR 품질 (0: 최고 ~ 9: 최저) {4}
+     * @property {Number} opusBitrate                           Opus 인코딩 비트레이트 (kbps) {32}
+     * @property {String} opusWasmUrl                           libopus 인코더 WASM 파일 경로 (src/libopus-encoder.wasm 과 같은 imports 의 Emscripten 빌드, 상대 경로 -> 페이지 기준) {RecorderService.js 와 같은 경로의 libopus-encoder.wasm}
+     * @property {String} g711Container                         G.711 (mulaw, alaw) 출력 형식 [wav | raw] {wav}
      * @property {Boolean} verbose                              콘솔 로그 보기 {true}
      * @property {Boolean} debug                                콘솔 디버그 로그 보기 {false}
      * @property {Boolean} stopTracksAndCloseCtxWhenFinished    녹음 종료 후 자원 해제 여부 {true}
@@ -76,10 +120,28 @@ export default class RecorderService extends EventTarget {
      *     outputGain: 1.0,
      *     callingMode: false,
      *     broadcastAudioProcessEvents: true,
+     *     levelInterval: 0,
      *     enableDynamicsCompressor: true,
+     *     resamplerQuality: "linear",
      *     noAudioWorklet: false,
+     *     noSharedArrayBuffer: false,
+     *     directEncoderChannel: false,
      *     usingMediaRecorder: typeof window.MediaRecorder !== "undefined",
      *     makeBlob: true,
+     *     timeslice: 0,
+     *     encoder: "wav",
+     *     wavBitDepth: 16,
+     *     wavSampleFormat: "int",
+     *     wavContainer: "wav",
+     *     wavForceRf64: false,
+     *     wavDither: "none",
+     *     flacBitDepth: 16,
+     *     mp3Bitrate: 64,
+     *     mp3BitrateMode: "cbr",
+     *     mp3VbrQuality: 4,
+     *     opusBitrate: 32,
+     *     opusWasmUrl: new URL("libopus-encoder.wasm", import.meta.url).href,
+     *     g711Container: "wav",
      *     verbose: true,
      *     debug: false,
      *     stopTracksAndCloseCtxWhenFinished: true,
@@ -102,6 +164,9 @@ export default class RecorderService extends EventTarget {
 
         this.encoderMimeType = "audio/wav";
 
+        // 오디오 처리 이벤트 (onaudioprocess) 리스너, 있을 경우 인코딩 Worker 에 복사본 전송
+        this.audioProcessListeners = new Set();
+
         this.config = {
             sampleRate: 16000,
             channelCount: 1,
@@ -111,11 +176,30 @@ export default class RecorderService extends EventTarget {
             outputGain: 1.0,
             callingMode: false,
             broadcastAudioProcessEvents: true,
+            levelInterval: 0,
             enableDynamicsCompressor: true,
             forcePostResampler: false,
+            resamplerQuality: "linear",
             noAudioWorklet: false,
+            noSharedArrayBuffer: false,
+            directEncoderChannel: false,
             usingMediaRecorder: typeof window.MediaRecorder !== "undefined",
             makeBlob: true,
+            timeslice: 0,
+            encoder: "wav",
+            wavBitDepth: 16,
+            wavSampleFormat: "int",
+            wavContainer: "wav",
+            wavForceRf64: false,
+            wavDither: "none",
+            flacBitDepth: 16,
+            mp3Bitrate: 64,
+            mp3BitrateMode: "cbr",
+            mp3VbrQuality: 4,
+            opusBitrate: 32,
+            // 함께 배포되는 libopus 빌드 (scripts/fetch-libopus-wasm.sh)
+            opusWasmUrl: new URL("libopus-encoder.wasm", import.meta.url).href,
+            g711Container: "wav",
             verbose: true,
             debug: false,
             stopTracksAndCloseCtxWhenFinished: true,
@@ -235,6 +319,167 @@ export default class RecorderService extends EventTarget {
         return "other";
     }
 
+    /**
+     * 인코딩 Worker 등록
+     * config.encoder 에 name 을 지정하면 등록된 Worker 로 인코딩
+     * Worker 는 "init", "encode", "dump", "close" 메시지를 처리하고, dump 시 ArrayBuffer 배열을 postMessage
+     * "encode" 로 받은 버퍼는 인코딩 후 AudioProcessor 에서 재사용되므로 (directEncoderChannel) 보관할 경우 복사
+     * @param {String} name 인코더 이름 (config.encoder)
+     * @param {Function} workerFn Worker script (function () {...})
+     * @param {(String|Function)} mimeType 결과 Blob MIME 형식, 또는 config 를 받아 MIME 형식을 반환하는 함수
+     * @example
+     * RecorderService.registerEncoder("custom", EncoderCustom, "audio/x-custom");
+     * new RecorderService({ usingMediaRecorder: false, encoder: "custom" });
+     */
+    static registerEncoder(name, workerFn, mimeType) {
+        if (typeof workerFn !== "function") {
+            throw new TypeError(
+                `RecorderService: Encoder worker must be a function: ${name}`
+            );
+        }
+        encoders.set(name, { workerFn: workerFn, mimeType: mimeType });
+    }
+
+    /**
+     * 변환된 오디오 (convert, makeBlob: false)
+     * @typedef {Object} ConvertedAudio
+     * @property {Number} sampleRate                샘플링 레이트
+     * @property {Array<Float32Array>} buffers      채널별 PCM 버퍼
+     */
+
+    /**
+     * 오디오 변환
+     * 녹음 세션 없이 AudioBuffer, Float32Array, Blob 을 config.sampleRate, config.channelCount 로 리샘플링 후 인코딩
+     * @param {(AudioBuffer|Float32Array|Array<Float32Array>|Blob)} input 입력 오디오 (Float32Array -> config.inputSampleRate 필요, Blob -> config.sampleRate 로 디코딩)
+     * @param {RecorderServiceConfig} config 변환 설정 (+ inputSampleRate: Float32Array 입력 샘플링 레이트)
+     * @returns {Promise<(Blob|ConvertedAudio)>} 인코딩된 Blob (config.makeBlob: false -> 채널별 PCM), 잘못된 입력, 설정일 경우 reject
+     * @example
+     * // 48 kHz AudioBuffer -> 16 kHz WAV Blob
+     * const blob = await RecorderService.convert(audioBuffer, { sampleRate: 16000 });
+     * // 44.1 kHz Float32Array -> 16 kHz PCM
+     * const { buffers } = await RecorderService.convert(samples, {
+     *     inputSampleRate: 44100,
+     *     makeBlob: false,
+     * });
+     */
+    static async convert(input, config) {
+        const service = new RecorderService(
+            Object.assign({}, config, {
+                usingMediaRecorder: false,
+                timeslice: 0,
+            })
+        );
+        service._applyTelephonySampleRate();
+        const sampleRate = service.config.sampleRate;
+        const channelCount = service.config.channelCount;
+        if (!(sampleRate > 0) || !Number.isFinite(sampleRate)) {
+            throw new RangeError(
+                `RecorderService: Convert: Invalid sample rate: ${sampleRate}`
+            );
+        }
+
+        // 입력 -> 채널별 Float32Array
+        let inputBuffers;
+        let inputSampleRate;
+        if (input instanceof Blob) {
+            // 디코딩 시 OfflineAudioContext 샘플링 레이트로 변환됨
+            const OfflineContext =
+                window.OfflineAudioContext || window.webkitOfflineAudioContext;
+            input = await new OfflineContext(1, 1, sampleRate).decodeAudioData(
+                await input.arrayBuffer()
+            );
+        }
+        if (input instanceof Float32Array) {
+            inputBuffers = [input];
+            inputSampleRate = service.config.inputSampleRate;
+        } else if (Array.isArray(input)) {
+            inputBuffers = input;
+            inputSampleRate = service.config.inputSampleRate;
+        } else {
+            inputBuffers = [];
+            for (let channel = 0; channel < input.numberOfChannels; channel++) {
+                inputBuffers.push(input.getChannelData(channel));
+            }
+            inputSampleRate = input.sampleRate;
+        }
+        if (!(inputSampleRate > 0) || !Number.isFinite(inputSampleRate)) {
+            throw new RangeError(
+                `RecorderService: Convert: Unknown input sample rate: ${inputSampleRate}`
+            );
+        }
+        if (!inputBuffers.length) {
+            throw new TypeError("RecorderService: Convert: No input channels");
+        }
+        // 채널별 Float32Array, 같은 길이
+        inputBuffers.forEach((buffer, channel) => {
+            if (!(buffer instanceof Float32Array)) {
+                throw new TypeError(
+                    `RecorderService: Convert: Channel ${channel} is not a Float32Array`
+                );
+            }
+            if (buffer.length !== inputBuffers[0].length) {
+                throw new RangeError(
+                    `RecorderService: Convert: Channel ${channel} length ${buffer.length} !== ${inputBuffers[0].length}`
+                );
+            }
+        });
+
+        // 채널별 리샘플링 (입력 채널이 부족할 경우 마지막 채널 복사)
+        const length = Math.round(
+            (inputBuffers[0].length * sampleRate) / inputSampleRate
+        );
+        const buffers = [];
+        for (let channel = 0; channel < channelCount; channel++) {
+            const inputBuffer =
+                inputBuffers[Math.min(channel, inputBuffers.length - 1)];
+            const resampler = new Resampler(
+                inputSampleRate,
+                sampleRate,
+                1,
+                inputBuffer,
+                service.config.resamplerQuality
+            );
+            const resampled = resampler.process(inputBuffer).slice(0, length);
+            const buffer = new Float32Array(length);
+            buffer.set(resampled, 0);
+            if (resampled.length < length) {
+                buffer.set(
+                    resampler.flush(length - resampled.length),
+                    resampled.length
+                );
+            }
+            buffers.push(buffer);
+        }
+
+        if (!service.config.makeBlob) {
+            return { sampleRate: sampleRate, buffers: buffers };
+        }
+
+        // 인코딩 Worker 로 인코딩
+        const encoderWorker = service._createEncoderWorker();
+        return new Promise((resolvedFn, rejectedFn) => {
+            encoderWorker.addEventListener("message", (e) => {
+                encoderWorker.terminate();
+                resolvedFn(new Blob(e.data, { type: service.encoderMimeType }));
+            });
+            encoderWorker.addEventListener("error", (event) => {
+                encoderWorker.terminate();
+                rejectedFn(event);
+            });
+            // 녹음과 같이 버퍼 단위로 전송
+            const bufferSize = 2 ** 14;
+            for (let offset = 0; offset < length; offset += bufferSize) {
+                encoderWorker.postMessage([
+                    "encode",
+                    buffers.map((buffer) =>
+                        buffer.subarray(offset, offset + bufferSize)
+                    ),
+                ]);
+            }
+            encoderWorker.postMessage(["dump", sampleRate]);
+        });
+    }
+
     /**
      * 설정 적용
      * @param {RecorderServiceConfig} config 설정
@@ -255,13 +500,15 @@ export default class RecorderService extends EventTarget {
     /**
      * 인코딩 Worker 생성
      * @param {Object} fn Worker script
+     * @param {Array<String>} dependencies Worker script 앞에 추가할 스크립트 (ex. SharedRingBuffer.toWorkerSource())
      * @returns {Worker} 인코딩 Worker
      */
-    createWorker(fn) {
+    createWorker(fn, dependencies = []) {
         let js = fn
             .toString()
             .replace(/^function.{0,1}(worker|).{0,1}\(\).{0,1}{/, "")
             .replace(/}$/, "");
+        js = dependencies.join("\n") + js;
 
         let blob = new Blob([js], { type: "text/javascript" });
 
@@ -271,19 +518,174 @@ export default class RecorderService extends EventTarget {
     /**
      * AudioProcessor Blob 생성
      * @param {Object} fn Worker script
+     * @param {Array<String>} dependencies Worker script 앞에 추가할 스크립트 (ex. Resampler.toSource())
      * @returns {String} URL
      */
-    createAudioProcessorBlob(fn) {
+    createAudioProcessorBlob(fn, dependencies = []) {
         let js = fn
             .toString()
             .replace(/^function.{0,1}(worker|).{0,1}\(\).{0,1}{/, "")
             .replace(/}$/, "");
+        js = dependencies.join("\n") + js;
 
         let blob = new Blob([js], { type: "text/javascript" });
 
         return URL.createObjectURL(blob);
     }
 
+    /**
+     * G.711 (mulaw, alaw) 인코딩일 경우 샘플링 레이트 8 kHz 고정
+     * @returns {Boolean} G.711 인코딩 여부
+     * @private
+     */
+    _applyTelephonySampleRate() {
+        const isTelephony = ["mulaw", "alaw"].includes(this.config.encoder);
+        if (isTelephony && this.config.sampleRate !== 8000) {
+            this.warn(
+                "RecorderService: G.711 encoder uses 8 kHz sample rate.",
+                this.config.sampleRate
+            );
+            this.config.sampleRate = 8000;
+        }
+        return isTelephony;
+    }
+
+    /**
+     * 인코딩 Worker 생성 및 초기화 (config.encoder)
+     * 이벤트 리스너는 호출하는 쪽에서 추가
+     * @returns {Worker} 인코딩 Worker
+     * @private
+     */
+    _createEncoderWorker() {
+        // MP3 (MPEG-1/2/2.5 Layer III) 지원 샘플링 레이트
+        const mp3SampleRates = [
+            8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100,
+            48000,
+        ];
+        if (
+            this.config.encoder === "mp3" &&
+            !mp3SampleRates.includes(this.config.sampleRate)
+        ) {
+            this.warn(
+                "RecorderService: Unsupported MP3 sample rate. Use WAV encoder.",
+                this.config.sampleRate
+            );
+            this.config.encoder = "wav";
+        }
+        // Opus 지원 샘플링 레이트
+        const opusSampleRates = [8000, 12000, 16000, 24000, 48000];
+        if (
+            this.config.encoder === "opus" &&
+            !opusSampleRates.includes(this.config.sampleRate)
+        ) {
+            this.warn(
+                "RecorderService: Unsupported Opus sample rate. Use WAV encoder.",
+                this.config.sampleRate
+            );
+            this.config.encoder = "wav";
+        }
+
+        // 등록되지 않은 인코더
+        if (!encoders.has(this.config.encoder)) {
+            this.warn(
+                "RecorderService: Unknown encoder. Use WAV encoder.",
+                this.config.encoder
+            );
+            this.config.encoder = "wav";
+        }
+        const encoder = encoders.get(this.config.encoder);
+        const isTelephony = ["mulaw", "alaw"].includes(this.config.encoder);
+        // SharedArrayBuffer 링 버퍼, AudioProcessor 직접 전송 -> "encode" 메시지 변환 스크립트 추가
+        const dependencies = [];
+        if (this.sharedRingState) {
+            dependencies.push(SharedRingBuffer.toWorkerSource());
+        }
+        if (this.encoderChannel) {
+            dependencies.push(EncoderPort.toWorkerSource());
+        }
+        this.encoderWorker = this.createWorker(encoder.workerFn, dependencies);
+        this.encoderMimeType =
+            typeof encoder.mimeType === "function"
+                ? encoder.mimeType(this.config)
+                : encoder.mimeType;
+
+        // 인코더별 설정
+        let bitDepth;
+        let bitrate;
+        let isPcm = false;
+        let channels = this.config.channelCount;
+        if (this.config.encoder === "mp3") {
+            bitrate = this.config.mp3Bitrate;
+        } else if (this.config.encoder === "opus") {
+            bitrate = this.config.opusBitrate;
+        } else if (this.config.encoder === "flac") {
+            bitDepth = this.config.flacBitDepth;
+        } else if (this.config.encoder === "wav") {
+            bitDepth = this.config.wavBitDepth;
+            isPcm = true;
+        }
+        // 스테레오까지 지원하는 인코더
+        if (
+            ["mp3", "opus", "adpcm"].includes(this.config.encoder) &&
+            this.config.channelCount > 2
+        ) {
+            channels = 2;
+            this.warn(
+                "RecorderService: Encoder supports up to 2 channels.",
+                this.config.encoder,
+                this.config.channelCount
+            );
+        }
+
+        // 인코딩 형식 설정
+        const supportedBitDepths =
+            this.config.encoder === "flac" ? [16, 24] : [16, 24, 32];
+        if (bitDepth !== undefined && !supportedBitDepths.includes(bitDepth)) {
+            this.warn(
+                "RecorderService: Unsupported bit depth. Use 16-bit.",
+                this.config.encoder,
+                bitDepth
+            );
+            bitDepth = 16;
+        }
+
+        // 녹음된 데이터 형식 (recorded 이벤트)
+        this.recordedFormat = {
+            sampleRate: this.config.sampleRate,
+            channels: channels,
+        };
+        if (isPcm) {
+            // s16le | s24le | s32le | f32le
+            this.recordedFormat.sampleFormat =
+                this.config.wavSampleFormat === "float"
+                    ? "f32le"
+                    : `s${bitDepth}le`;
+        }
+        this.encoderWorker.postMessage([
+            "init",
+            {
+                sampleRate: this.config.sampleRate,
+                bitDepth: bitDepth,
+                sampleFormat: this.config.wavSampleFormat,
+                channels: this.config.channelCount,
+                bitrate: bitrate,
+                bitrateMode: this.config.mp3BitrateMode,
+                vbrQuality: this.config.mp3VbrQuality,
+                law: this.config.encoder,
+                container: isTelephony
+                    ? this.config.g711Container
+                    : this.config.wavContainer,
+                forceRf64: this.config.wavForceRf64,
+                dither: this.config.wavDither,
+                timeslice: this.config.timeslice,
+                // Blob URL Worker 에서 상대 경로를 해석할 수 없으므로 절대 경로로 변환
+                wasmUrl: new URL(this.config.opusWasmUrl, location.href).href,
+            },
+        ]);
+
+        return this.encoderWorker;
+    }
+
     /**
      * AudioContext 및 Node 초기화
      * @returns {(Promise)}
@@ -307,6 +709,9 @@ export default class RecorderService extends EventTarget {
                 return;
             }
 
+            // G.711 전화망 출력 - 8 kHz 고정
+            const isTelephony = this._applyTelephonySampleRate();
+
             // WebAudioAPI AudioContext 초기화
             this.audioCtx = new AudioContext({
                 latencyHint: this.config.latencyHint,
@@ -333,6 +738,15 @@ export default class RecorderService extends EventTarget {
                 this.dynamicsCompressorNode =
                     this.audioCtx.createDynamicsCompressor();
             }
+            // BiquadFilterNode - 전화망 대역 (300 ~ 3400 Hz) 제한 Node
+            if (isTelephony) {
+                this.highpassFilterNode = this.audioCtx.createBiquadFilter();
+                this.highpassFilterNode.type = "highpass";
+                this.highpassFilterNode.frequency.value = 300;
+                this.lowpassFilterNode = this.audioCtx.createBiquadFilter();
+                this.lowpassFilterNode.type = "lowpass";
+                this.lowpassFilterNode.frequency.value = 3400;
+            }
             /**
              * config.sampleRate와 마이크 입력 SampleRate가 다를 경우,
              * 설정된 config.bufferSize와 근사한 크기의 리샘플링된 버퍼를 출력하기 위해 목표 버퍼 크기 설정
@@ -353,11 +767,16 @@ export default class RecorderService extends EventTarget {
             // AudioWorkletNode || ScriptProcessorNode - 오디오 버퍼 처리 Node
             if (
                 this.config.broadcastAudioProcessEvents ||
-                !this.config.usingMediaRecorder
+                !this.config.usingMediaRecorder ||
+                this.config.levelInterval > 0
             ) {
                 try {
                     const audioProcessorUrl =
-                        this.createAudioProcessorBlob(AudioProcessor);
+                        this.createAudioProcessorBlob(AudioProcessor, [
+                            Resampler.toSource(),
+                            SharedRingBuffer.toSource(),
+                            LevelMeter.toSource(),
+                        ]);
 
                     if (this.config.noAudioWorklet) {
                         throw new Error(
@@ -365,6 +784,34 @@ export default class RecorderService extends EventTarget {
                         );
                     }
 
+                    // SharedArrayBuffer 링 버퍼 (reader 0: 메인 스레드, 1: 인코딩 Worker)
+                    // 메인 스레드는 손실 허용 reader (멈춰도 인코딩 Worker 에 쓰기는 계속)
+                    if (
+                        !this.config.noSharedArrayBuffer &&
+                        SharedRingBuffer.isAvailable()
+                    ) {
+                        const useEncoderWorker =
+                            !this.config.usingMediaRecorder &&
+                            this.config.makeBlob;
+                        this.sharedRingState = SharedRingBuffer.create(
+                            Math.ceil(this.bufferSize / this.bufferSizeRatio) * 8,
+                            this.config.channelCount,
+                            useEncoderWorker ? 2 : 1,
+                            [true]
+                        );
+                        this.sharedRing = new SharedRingBuffer(
+                            this.sharedRingState
+                        );
+                        // 버퍼 길이의 절반 (ms)
+                        this.sharedRingInterval =
+                            ((this.bufferSize / this.audioCtx.sampleRate) * 1000) /
+                            2;
+                        this.debug(
+                            "RecorderService: SharedRingBuffer",
+                            this.sharedRingState
+                        );
+                    }
+
                     await this.audioCtx.audioWorklet.addModule(audioProcessorUrl);
                     
                     this.debug(
@@ -376,10 +823,22 @@ export default class RecorderService extends EventTarget {
                         this.audioCtx,
                         "audio-processor",
                         {
-                            numberOfInputs: this.config.channelCount,
-                            numberOfOutputs: this.config.channelCount,
+                            // 하나의 입력에 channelCount 채널 (planar 프레임으로 전송)
+                            numberOfInputs: 1,
+                            numberOfOutputs: 1,
+                            outputChannelCount: [this.config.channelCount],
+                            channelCount: this.config.channelCount,
+                            channelCountMode: "explicit",
                             processorOptions: {
                                 bufferSize: this.bufferSize,
+                                channelCount: this.config.channelCount,
+                                // Worklet 에서 리샘플링
+                                sampleRate: this.config.sampleRate,
+                                resamplerQuality: this.config.resamplerQuality,
+                                // 메시지 대신 SharedArrayBuffer 링 버퍼에 쓰기
+                                sharedRing: this.sharedRingState,
+                                // 입력 레벨 보고 주기 (ms)
+                                levelInterval: this.config.levelInterval,
                             },
                         }
                     );
@@ -404,6 +863,8 @@ export default class RecorderService extends EventTarget {
                         e
                     );
                     this.config.noAudioWorklet = true;
+                    this.sharedRingState = null;
+                    this.sharedRing = null;
                     this.processorNode = this.audioCtx.createScriptProcessor(
                         this.bufferSize,
                         this.config.channelCount,
@@ -423,16 +884,77 @@ export default class RecorderService extends EventTarget {
             }
             // Blob 생성하고, MediaRecorder 사용 안할 경우, 인코딩 Worker 초기화
             if (!this.config.usingMediaRecorder && this.config.makeBlob) {
-                this.encoderWorker = this.createWorker(EncoderWav);
-                this.encoderMimeType = "audio/wav";
+                // AudioProcessor -> 인코딩 Worker MessageChannel (링 버퍼 사용 시 불필요)
+                this.encoderChannel =
+                    this.config.directEncoderChannel &&
+                    this.processorNode &&
+                    !this.config.noAudioWorklet &&
+                    !this.sharedRingState
+                        ? new MessageChannel()
+                        : null;
+                this._createEncoderWorker();
+                if (this.encoderChannel) {
+                    this.encoderWorker.postMessage(
+                        [
+                            "port",
+                            this.encoderChannel.port2,
+                            this.config.broadcastAudioProcessEvents,
+                        ],
+                        [this.encoderChannel.port2]
+                    );
+                    this.processorNode.port.postMessage(
+                        {
+                            command: "encoder",
+                            port: this.encoderChannel.port1,
+                        },
+                        [this.encoderChannel.port1]
+                    );
+                    this.debug(
+                        "RecorderService: AudioProcessor -> Encoder MessageChannel"
+                    );
+                }
+                // SharedArrayBuffer 링 버퍼에서 직접 읽기 (reader 1)
+                if (this.sharedRingState) {
+                    this.encoderWorker.postMessage([
+                        "ring",
+                        this.sharedRingState,
+                        1,
+                        this.sharedRingInterval,
+                    ]);
+                }
 
                 // 인코딩 Worker 이벤트 리스너 추가
                 this.encoderWorker.addEventListener("message", async (e) => {
+                    // AudioProcessor 에서 직접 받아 인코딩한 프레임의 복사본 (오디오 처리 이벤트)
+                    if (e.data[0] === "audioprocess") {
+                        this._onAudioProcess(e.data[1]);
+                        return;
+                    }
+                    // AudioProcessor 에 남은 출력까지 인코딩 완료 (이후 dump)
+                    if (e.data[0] === "flushed") {
+                        this._onAudioProcessorDropped(e.data[2]);
+                        this._onAudioProcessorFlushed({
+                            flushed: true,
+                            encoded: e.data[1],
+                        });
+                        return;
+                    }
+                    // 녹음 중 인코딩 데이터 조각
+                    if (e.data[0] === "timeslice") {
+                        this._onTimeslice(
+                            new Blob(e.data[1], { type: this.encoderMimeType })
+                        );
+                        return;
+                    }
+
                     let event = new Event("dataavailable");
                     event.data = new Blob(e.data, { type: this.encoderMimeType });
 
                     this._onDataAvailable(event);
                 });
+                this.encoderWorker.addEventListener("error", (event) => {
+                    this._onError(event);
+                });
             }
 
             // 입력 장치 설정
@@ -514,6 +1036,13 @@ export default class RecorderService extends EventTarget {
             nextNode = this.dynamicsCompressorNode;
         }
 
+        // BiquadFilterNode 연결
+        if (this.highpassFilterNode && this.lowpassFilterNode) {
+            nextNode.connect(this.highpassFilterNode);
+            this.highpassFilterNode.connect(this.lowpassFilterNode);
+            nextNode = this.lowpassFilterNode;
+        }
+
         // ScriptProcessorNode || AudioWorkletNode 및 GainNode 연결
         if (this.processorNode) {
             nextNode.connect(this.processorNode);
@@ -538,13 +1067,18 @@ export default class RecorderService extends EventTarget {
 
             this.mediaRecorder.addEventListener(
                 "dataavailable",
-                async (event) => this._onDataAvailable(event)
+                async (event) => {
+                    if (this.config.timeslice) {
+                        this._onTimeslice(event.data);
+                    }
+                    this._onDataAvailable(event);
+                }
             );
             this.mediaRecorder.addEventListener("error", async (event) =>
                 this._onError(event)
             );
 
-            this.mediaRecorder.start();
+            this.mediaRecorder.start(this.config.timeslice || undefined);
         } else {
             // MediaRecorder 사용하지 않을 경우 증폭 값 0
             if (this.outputGainNode) {
@@ -559,6 +1093,32 @@ export default class RecorderService extends EventTarget {
         this.state = "inactive";
     }
 
+    /**
+     * 이벤트 리스너 추가 (오디오 처리 이벤트 리스너 기록)
+     * @param {String} type
+     * @param {Function} listener
+     * @param {(Object|Boolean)} [options]
+     */
+    addEventListener(type, listener, options) {
+        super.addEventListener(type, listener, options);
+        if (type === "onaudioprocess" && listener) {
+            this.audioProcessListeners.add(listener);
+        }
+    }
+
+    /**
+     * 이벤트 리스너 제거
+     * @param {String} type
+     * @param {Function} listener
+     * @param {(Object|Boolean)} [options]
+     */
+    removeEventListener(type, listener, options) {
+        super.removeEventListener(type, listener, options);
+        if (type === "onaudioprocess") {
+            this.audioProcessListeners.delete(listener);
+        }
+    }
+
     /**
      * 마이크 스트림 이벤트 리스너 추가
      * @param {Function} listener
@@ -583,6 +1143,30 @@ export default class RecorderService extends EventTarget {
         this.addEventListener("recorded", listener);
     }
 
+    /**
+     * 녹음 중 인코딩 데이터 조각 이벤트 리스너 추가 (config.timeslice)
+     * @param {Function} listener
+     */
+    addDataAvailableEventListener(listener) {
+        this.addEventListener("dataavailable", listener);
+    }
+
+    /**
+     * 입력 레벨 이벤트 리스너 추가 (config.levelInterval)
+     * @param {Function} listener
+     */
+    addLevelEventListener(listener) {
+        this.addEventListener("level", listener);
+    }
+
+    /**
+     * 클리핑 (풀 스케일 샘플) 이벤트 리스너 추가 (config.levelInterval)
+     * @param {Function} listener
+     */
+    addClippingEventListener(listener) {
+        this.addEventListener("clipping", listener);
+    }
+
     /**
      * 오디오 입력장치 가져오기
      */
@@ -628,14 +1212,65 @@ export default class RecorderService extends EventTarget {
 
     async _record() {
         this.info("RecorderService: Start Recording");
+        // 녹음 시작 시각, 마커 위치 계산을 위한 인코딩된 샘플 수
+        this.recordStartedAt = new Date();
+        this.encodedLength = 0;
+        this.markers = [];
+        // 채널별 리샘플러 (녹음 동안 버퍼 사이 상태 유지)
+        this.resamplers = [];
+        // 리샘플러 입력 / 출력 샘플 수 (정지 시 남은 출력 계산)
+        this.resamplerInputLength = 0;
+        this.resamplerOutputLength = 0;
         await this._resume();
 
         if (this.processorNode) {
             // Message Handler
             if (!this.config.noAudioWorklet) {
-                this.processorNode.port.onmessage = async (e) =>
-                    this._onAudioProcess(e.data);
+                this.processorNode.port.postMessage({ command: "reset" });
+                // AudioProcessor 링 버퍼가 넘쳐 버린 프레임 수 (reset 시 초기화)
+                this.audioProcessorDropped = 0;
+                this.processorNode.port.onmessage = async (e) => {
+                    if (e.data.flushed) {
+                        this._onAudioProcessorDropped(e.data.dropped);
+                        this._onAudioProcessorFlushed(e.data);
+                    } else if (e.data.buffers) {
+                        this._onAudioProcessorDropped(e.data.dropped);
+                        this._onAudioProcess(e.data);
+                        this._recycleAudioProcessorBuffers(e.data);
+                    } else if (e.data.encoded) {
+                        // 인코딩 Worker 에 직접 전송된 샘플 수 (프레임은 인코딩 Worker 가 처리)
+                        this._onAudioProcessorDropped(e.data.dropped);
+                        this.encodedLength += e.data.encoded;
+                    } else if (e.data.level) {
+                        this._onLevel(e.data.level);
+                    }
+                };
+                // 프로세서 오류 시 flush 응답이 오지 않으므로 대기 중인 stop() 진행
+                this.processorNode.onprocessorerror = (event) => {
+                    this._onError(event);
+                    if (this.audioProcessorFlushed) {
+                        this.audioProcessorFlushed();
+                    }
+                };
+                // SharedArrayBuffer 링 버퍼 사용 시 메시지 대신 링 버퍼 읽기
+                if (this.sharedRing && !this.sharedRingPolling) {
+                    this.sharedRingPolling = true;
+                    this.sharedRingDropped = this.sharedRing.dropped();
+                    this.sharedRingSkipped = this.sharedRing.skipped(0);
+                    // 인코딩된 샘플 수는 쓰기 위치로 계산 (메인 스레드 reader 는 건너뛸 수 있음)
+                    this.sharedRingWriteIndex = this.sharedRing.writeIndex();
+                    this._pollSharedRing();
+                }
             } else {
+                // ScriptProcessorNode -> 메인 스레드에서 입력 레벨 계산
+                this.levelMeter =
+                    this.config.levelInterval > 0
+                        ? new LevelMeter(
+                              this.config.channelCount,
+                              this.audioCtx.sampleRate,
+                              this.config.levelInterval
+                          )
+                        : null;
                 this.processorNode.onaudioprocess = async (e) =>
                     this._onAudioProcess(e);
             }
@@ -696,6 +1331,12 @@ export default class RecorderService extends EventTarget {
      * @property {(Float32Array|AudioBuffer)} inputBuffer      입력 버퍼 (AudioWorkletNode / ScriptProcessorNode -> Float32Array / AudioBuffer)
      * @property {(AudioBuffer|undefined)} outputBuffer        출력 버퍼 (AudioWorkletNode / ScriptProcessorNode -> undefined / AudioBuffer)
      * @property {(Float32Array|undefined)} processedBuffer    확장 버퍼된 버퍼 (AudioWorkletNode / ScriptProcessorNode -> Float32Array / undefined)
+     * @property {(Array<Float32Array>|undefined)} buffers     채널별 버퍼 (AudioWorkletNode / ScriptProcessorNode -> Array<Float32Array> / undefined)
+     * @property {(Array<Float32Array>|undefined)} resampledBuffers 채널별 리샘플링된 버퍼 (AudioWorkletNode, 샘플링 레이트가 다를 경우)
+     * @property {(Number|undefined)} resampledLength         resampledBuffers 중 유효한 프레임 수 (버퍼는 재사용되므로 최대 길이로 할당)
+     * @property {(Number|undefined)} dropped                 AudioProcessor 링 버퍼가 넘쳐 버린 누적 프레임 수 (프레임 풀 반환이 늦을 경우)
+     * @property {(Number|undefined)} encoded                 AudioProcessor 에서 인코딩 Worker 에 직접 전송된 샘플 수 (directEncoderChannel)
+     * @property {(Array<Float32Array>|undefined)} sharedBuffers 채널별 목표 샘플링 레이트 버퍼 (SharedArrayBuffer 링 버퍼, 인코딩 Worker 는 링 버퍼에서 직접 읽음)
      * @param {AudioProcessingEvent} event                     오디오 버퍼 처리 이벤트
      * @private
      */
@@ -710,61 +1351,400 @@ export default class RecorderService extends EventTarget {
             this.pre = now;
         }
 
+        // SharedArrayBuffer 링 버퍼 -> 리샘플링된 버퍼를 목표 샘플링 레이트의 AudioBuffer 로 전달
+        if (event.sharedBuffers) {
+            this._onSharedAudioProcess(event.sharedBuffers);
+            return;
+        }
+
         // Raw audio data -> AudioBuffer
         let audioBuffer;
         if (!this.config.noAudioWorklet) {
+            // planar 프레임 -> AudioBuffer 채널별 복사
             audioBuffer = this.audioBuffer;
-            audioBuffer.copyToChannel(event.buffer, 0);
+            for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+                audioBuffer.copyToChannel(event.buffers[channel], channel);
+            }
         } else {
             audioBuffer = event.inputBuffer;
+            if (this.levelMeter) {
+                const channels = [];
+                for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+                    channels.push(audioBuffer.getChannelData(channel));
+                }
+                const level = this.levelMeter.process(channels, audioBuffer.length);
+                if (level) {
+                    this._onLevel(level);
+                }
+            }
         }
 
-        let arrayBuffer;
-        if (this.bufferSizeRatio != 1) {
-            let resampler = new Resampler(
-                this.audioCtx.sampleRate,
-                this.config.sampleRate,
-                this.config.channelCount,
-                audioBuffer.getChannelData(0)
+        // 채널별 리샘플링 (AudioWorkletNode -> Worklet 에서 리샘플링된 버퍼 사용)
+        let arrayBuffers = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            if (event.resampledBuffers) {
+                // AudioProcessor 에 반환되므로 유효한 길이만 복사
+                arrayBuffers.push(
+                    event.resampledBuffers[channel].slice(
+                        0,
+                        event.resampledLength
+                    )
+                );
+            } else if (this.bufferSizeRatio != 1) {
+                arrayBuffers.push(
+                    this._resample(channel, audioBuffer.getChannelData(channel))
+                );
+                this.debug(
+                    "RecorderService: Resampled Buffer",
+                    channel,
+                    arrayBuffers[channel],
+                    this.resamplers[channel]
+                );
+            } else {
+                arrayBuffers.push(audioBuffer.getChannelData(channel));
+                this.debug(
+                    "RecorderService: Original Buffer",
+                    channel,
+                    arrayBuffers[channel]
+                );
+            }
+        }
+        if (!event.resampledBuffers) {
+            this.resamplerInputLength += audioBuffer.length;
+            this.resamplerOutputLength += arrayBuffers[0].length;
+        }
+
+        // 오디오 처리 이벤트 트리거
+        if (this.config.broadcastAudioProcessEvents) {
+            this.dispatchEvent(
+                new CustomEvent("onaudioprocess", {
+                    detail: {
+                        audioBuffer: audioBuffer,
+                        arrayBuffer: arrayBuffers[0],
+                        arrayBuffers: arrayBuffers,
+                    },
+                })
             );
-            resampler.resampler(
-                Math.ceil(this.bufferSize * this.bufferSizeRatio)
+        }
+
+        // Blob 생성하고, MediaRecorder 사용할 경우 오디오 인코딩
+        // (AudioProcessor 에서 직접 전송한 경우 인코딩, 샘플 수 계산 모두 제외)
+        if (
+            !this.config.usingMediaRecorder &&
+            this.config.makeBlob &&
+            !event.encoded
+        ) {
+            // transfer 후 분리되므로 먼저 계산
+            this.encodedLength += arrayBuffers[0].length;
+            // 채널 데이터 인코딩 Worker Post
+            // 리스너에 전달된 버퍼, AudioBuffer 채널 데이터는 복사 후 transfer
+            this._postEncode(
+                arrayBuffers,
+                (this.config.broadcastAudioProcessEvents &&
+                    this.audioProcessListeners.size > 0) ||
+                    (!event.resampledBuffers && this.bufferSizeRatio == 1)
             );
-            arrayBuffer = resampler.outputBuffer;
-            this.debug(
-                "RecorderService: Resampled Buffer",
-                arrayBuffer,
-                resampler
+        }
+    }
+
+    /**
+     * 입력 레벨 이벤트 트리거, 풀 스케일 샘플이 있을 경우 클리핑 이벤트 트리거
+     * @param {AudioLevel} level 채널별 입력 레벨 (LevelMeter)
+     * @private
+     */
+    _onLevel(level) {
+        this.dispatchEvent(
+            new CustomEvent("level", { detail: { level: level } })
+        );
+        if (level.clipped.some((clipped) => clipped > 0)) {
+            this.dispatchEvent(
+                new CustomEvent("clipping", { detail: { level: level } })
             );
-        } else {
-            arrayBuffer = audioBuffer.getChannelData(0);
-            this.debug("RecorderService: Original Buffer", arrayBuffer);
         }
+    }
 
-        // 오디오 처리 이벤트 트리거
+    /**
+     * 채널 버퍼 인코딩 Worker 전송 (구조화된 복제 대신 ArrayBuffer transfer)
+     * @param {Array<Float32Array>} buffers 채널별 버퍼
+     * @param {Boolean} [shared] 전송 후에도 다른 곳에서 사용하는 버퍼 여부 (true -> 복사 후 transfer)
+     * @private
+     */
+    _postEncode(buffers, shared = false) {
+        // 다른 버퍼의 일부 (subarray) 는 전체 ArrayBuffer 가 분리되므로 복사
+        const transferred = buffers.map((buffer) =>
+            shared || buffer.byteLength !== buffer.buffer.byteLength
+                ? buffer.slice()
+                : buffer
+        );
+        this.encoderWorker.postMessage(
+            ["encode", transferred],
+            transferred.map((buffer) => buffer.buffer)
+        );
+    }
+
+    /**
+     * SharedArrayBuffer 링 버퍼에서 읽은 버퍼 처리
+     * (인코딩 Worker 는 링 버퍼에서 직접 읽고, 인코딩된 샘플 수는 _drainSharedRing 에서 계산)
+     * @param {Array<Float32Array>} arrayBuffers 채널별 버퍼
+     * @private
+     */
+    _onSharedAudioProcess(arrayBuffers) {
         if (this.config.broadcastAudioProcessEvents) {
+            const audioBuffer = new AudioBuffer({
+                length: arrayBuffers[0].length,
+                numberOfChannels: arrayBuffers.length,
+                sampleRate: this.config.sampleRate,
+            });
+            for (let channel = 0; channel < arrayBuffers.length; channel++) {
+                audioBuffer.copyToChannel(arrayBuffers[channel], channel);
+            }
             this.dispatchEvent(
                 new CustomEvent("onaudioprocess", {
                     detail: {
                         audioBuffer: audioBuffer,
-                        arrayBuffer: arrayBuffer,
+                        arrayBuffer: arrayBuffers[0],
+                        arrayBuffers: arrayBuffers,
                     },
                 })
             );
         }
+    }
 
-        // Blob 생성하고, MediaRecorder 사용할 경우 오디오 인코딩
+    /**
+     * SharedArrayBuffer 링 버퍼 읽기 (reader 0), 쓰기 위치가 바뀔 때마다 반복
+     * @private
+     */
+    _pollSharedRing() {
+        if (!this.sharedRingPolling || !this.sharedRing) {
+            this.sharedRingPolling = false;
+            return;
+        }
+        const ring = this.sharedRing;
+        const writeIndex = ring.writeIndex();
+        this._drainSharedRing();
+        ring.wait(writeIndex, this.sharedRingInterval, () =>
+            this._pollSharedRing()
+        );
+    }
+
+    /**
+     * SharedArrayBuffer 링 버퍼에 남은 버퍼 모두 처리
+     * (오디오 처리 이벤트를 사용하지 않을 경우 읽지 않고 쓰기 위치만 확인)
+     * @private
+     */
+    _drainSharedRing() {
+        const writeIndex = this.sharedRing.writeIndex();
         if (!this.config.usingMediaRecorder && this.config.makeBlob) {
-            // 채널 데이터 인코딩 Worker Post
-            this.encoderWorker.postMessage(["encode", arrayBuffer]);
+            this.encodedLength += (writeIndex - this.sharedRingWriteIndex) | 0;
+        }
+        this.sharedRingWriteIndex = writeIndex;
+
+        if (this.config.broadcastAudioProcessEvents) {
+            const buffers = this.sharedRing.read(0);
+            if (buffers) {
+                this._onAudioProcess({ sharedBuffers: buffers });
+            }
+
+            // 메인 스레드가 늦어 건너뛴 프레임 (인코딩에는 영향 없음)
+            const skipped = this.sharedRing.skipped(0);
+            if (skipped !== this.sharedRingSkipped) {
+                this.warn(
+                    "RecorderService: SharedRingBuffer main thread reader skipped frames",
+                    skipped - this.sharedRingSkipped
+                );
+                this.sharedRingSkipped = skipped;
+            }
+        }
+
+        const dropped = this.sharedRing.dropped();
+        if (dropped !== this.sharedRingDropped) {
+            this.warn(
+                "RecorderService: SharedRingBuffer overflow, dropped frames",
+                dropped - this.sharedRingDropped
+            );
+            this.sharedRingDropped = dropped;
+        }
+    }
+
+    /**
+     * AudioProcessor 링 버퍼가 넘쳐 버린 프레임이 늘었을 경우 경고
+     * @param {(Number|undefined)} dropped 누적 프레임 수
+     * @private
+     */
+    _onAudioProcessorDropped(dropped) {
+        if (dropped > this.audioProcessorDropped) {
+            this.warn(
+                "RecorderService: AudioProcessor ring overflow, dropped frames",
+                dropped - this.audioProcessorDropped
+            );
+            this.audioProcessorDropped = dropped;
+        }
+    }
+
+    /**
+     * 사용한 버퍼를 AudioProcessor 프레임 풀에 반환 (Worklet 에서 재할당 방지)
+     * @param {Object} data AudioProcessor 메시지
+     * @private
+     */
+    _recycleAudioProcessorBuffers(data) {
+        if (!this.processorNode) {
+            return;
         }
+        const buffers = data.buffers.concat(data.resampledBuffers || []);
+        this.processorNode.port.postMessage(
+            {
+                command: "recycle",
+                buffers: data.buffers,
+                resampledBuffers: data.resampledBuffers,
+            },
+            buffers.map((buffer) => buffer.buffer)
+        );
+    }
+
+    /**
+     * AudioProcessor 에 남은 출력 (마지막 부분 버퍼, 리샘플러 필터 지연) 요청
+     * 시간 제한 없이 응답을 기다림 (먼저 dump 하면 늦게 도착한 출력이 다음 녹음 앞에 인코딩됨)
+     * @returns {Promise} 남은 출력 인코딩 후 (directEncoderChannel -> 인코딩 Worker 응답 후), 프로세서 오류 시 resolve
+     * @private
+     */
+    _flushAudioProcessor() {
+        return new Promise((resolvedFn) => {
+            this.audioProcessorFlushed = () => {
+                this.audioProcessorFlushed = null;
+                resolvedFn();
+            };
+            this.processorNode.port.postMessage({ command: "flush" });
+        });
+    }
+
+    /**
+     * AudioProcessor 에 남은 출력 인코딩
+     * @param {Object} data AudioProcessor flush 메시지
+     * @private
+     */
+    _onAudioProcessorFlushed(data) {
+        // SharedArrayBuffer 링 버퍼 사용 시 남은 출력은 링 버퍼에 쓰여 있음
+        if (this.sharedRing) {
+            this._drainSharedRing();
+            if (this.audioProcessorFlushed) {
+                this.audioProcessorFlushed();
+            }
+            return;
+        }
+
+        // 인코딩 Worker 에 직접 전송된 경우 샘플 수만 계산 (인코딩 Worker 가 남은 출력까지 인코딩한 후 전달)
+        if (data.encoded !== undefined) {
+            this.debug("RecorderService: AudioProcessor Flushed", data.encoded);
+            this.encodedLength += data.encoded;
+            if (this.audioProcessorFlushed) {
+                this.audioProcessorFlushed();
+            }
+            return;
+        }
+
+        const arrayBuffers = data.resampledBuffers || data.buffers;
+        this.debug("RecorderService: AudioProcessor Flushed", arrayBuffers);
+
+        if (
+            arrayBuffers[0].length > 0 &&
+            !this.config.usingMediaRecorder &&
+            this.config.makeBlob
+        ) {
+            this.encodedLength += arrayBuffers[0].length;
+            this._postEncode(arrayBuffers);
+        }
+        if (this.audioProcessorFlushed) {
+            this.audioProcessorFlushed();
+        }
+    }
+
+    /**
+     * 채널 버퍼 리샘플링
+     * 채널별 Resampler 를 녹음 동안 재사용하여 버퍼 경계에서 끊김 없이 리샘플링
+     * @param {Number} channel 채널
+     * @param {Float32Array} buffer 입력 버퍼
+     * @returns {Float32Array} 리샘플링된 버퍼
+     * @private
+     */
+    _resample(channel, buffer) {
+        let resampler = this.resamplers[channel];
+        if (!resampler) {
+            resampler = new Resampler(
+                this.audioCtx.sampleRate,
+                this.config.sampleRate,
+                1,
+                buffer,
+                this.config.resamplerQuality
+            );
+            this.resamplers[channel] = resampler;
+        }
+        // Resampler 출력 버퍼는 다음 호출에서 재사용되므로 복사
+        return resampler.process(buffer).slice();
+    }
+
+    /**
+     * 리샘플러에 남은 출력 (필터 지연, 마지막 부분 버퍼) 반환
+     * 녹음 전체 길이가 입력 길이 * 샘플링 레이트 비율과 같아지도록 부족한 만큼만 출력
+     * @returns {(Array<Float32Array>|undefined)} 채널별 버퍼
+     * @private
+     */
+    _flushResamplers() {
+        if (!this.resamplers || !this.resamplers.length) {
+            return undefined;
+        }
+        const length =
+            Math.round(
+                (this.resamplerInputLength * this.config.sampleRate) /
+                    this.audioCtx.sampleRate
+            ) - this.resamplerOutputLength;
+        const resamplers = this.resamplers;
+        this.resamplers = [];
+        if (length <= 0) {
+            return undefined;
+        }
+        this.resamplerOutputLength += length;
+        return resamplers.map((resampler) => resampler.flush(length));
+    }
+
+    /**
+     * 녹음 메타데이터 (WAV: LIST/INFO, bext, cue/adtl)
+     * @typedef {Object} RecordedMetadata
+     * @property {String} title                         제목 (INAM)
+     * @property {String} artist                        작성자 (IART)
+     * @property {String} comment                       설명 (ICMT, bext Description)
+     * @property {String} software                      소프트웨어 (ISFT, bext Originator)
+     * @property {String} reference                     bext OriginatorReference
+     * @property {(Date|Number)} originationDate        녹음 일시 (bext, ICRD) {녹음 시작 시각}
+     * @property {Number} timeReference                 자정 기준 첫 샘플 위치 (bext) {originationDate 기준}
+     * @property {Array<{position: Number, label: String}>} markers  마커 (샘플 위치, 이름) {addMarker}
+     */
+
+    /**
+     * 녹음 메타데이터 설정
+     * @param {RecordedMetadata} metadata
+     */
+    setMetadata(metadata) {
+        this.metadata = Object.assign(this.metadata || {}, metadata);
+    }
+
+    /**
+     * 현재 녹음 위치에 마커 추가
+     * @param {String} label 마커 이름
+     * @returns {Number} 마커 위치 (샘플)
+     */
+    addMarker(label) {
+        const position = this.encodedLength || 0;
+        this.markers = this.markers || [];
+        this.markers.push({ position: position, label: label });
+        return position;
     }
 
     /**
      * 녹음 종료 및 인코딩 데이터 Dump, 자원 해체
+     * @param {RecordedMetadata} [metadata] 녹음 메타데이터 (WAV 인코딩 Worker)
      * @returns {Promise}
      */
-    stop() {
+    stop(metadata) {
         return new Promise(async (resolvedFn, rejectedFn) => {
             this.info("RecorderService: Stop Recording");
 
@@ -772,7 +1752,17 @@ export default class RecorderService extends EventTarget {
                 rejectedFn(this.state);
                 return;
             }
-            
+
+            // AudioWorkletNode 에 남은 출력 인코딩 (Worklet 동작 중, 정지 전)
+            if (
+                !this.config.usingMediaRecorder &&
+                this.config.makeBlob &&
+                this.processorNode &&
+                !this.config.noAudioWorklet
+            ) {
+                await this._flushAudioProcessor();
+            }
+
             this.info("RecorderService: AudioContext State From", this.audioCtx.state);
             await this.audioCtx.suspend();
             this.info("RecorderService: AudioContext State To", this.audioCtx.state);
@@ -785,11 +1775,24 @@ export default class RecorderService extends EventTarget {
                     // MediaRecorder 사용할 경우 정지
                     this.mediaRecorder.stop();
                 } else {
+                    // 리샘플러에 남은 출력 인코딩
+                    const tail = this._flushResamplers();
+                    if (tail) {
+                        this.encodedLength += tail[0].length;
+                        this._postEncode(tail);
+                    }
                     // 인코딩 Worker 데이터 dump 요청
+                    // (directEncoderChannel -> 인코딩 Worker 가 남은 출력까지 인코딩했다고 응답한 후)
+                    if (metadata) {
+                        this.setMetadata(metadata);
+                    }
                     this.encoderWorker.postMessage([
                         "dump",
                         this.config.sampleRate,
+                        this._createRecordedMetadata(),
                     ]);
+                    this.metadata = null;
+                    this.markers = [];
                 }
             }
             resolvedFn();
@@ -835,6 +1838,10 @@ export default class RecorderService extends EventTarget {
             mimeType: blob.type,
             size: blob.size,
         };
+        // 인코딩 Worker 사용할 경우 형식 정보 (sampleRate, channels, sampleFormat)
+        if (!this.config.usingMediaRecorder && this.recordedFormat) {
+            Object.assign(recorded, this.recordedFormat);
+        }
 
         // 녹음된 데이터 초기화
         this._clear();
@@ -866,14 +1873,28 @@ export default class RecorderService extends EventTarget {
             this.processorNode.disconnect();
             this.processorNode = null;
         }
+        if (this.sharedRing) {
+            this.sharedRingPolling = false;
+            this.sharedRing = null;
+            this.sharedRingState = null;
+        }
         if (this.encoderWorker) {
             this.encoderWorker.postMessage(["close"]);
             this.encoderWorker = null;
+            this.encoderChannel = null;
         }
         if (this.micGainNode) {
             this.micGainNode.disconnect();
             this.micGainNode = null;
         }
+        if (this.highpassFilterNode) {
+            this.highpassFilterNode.disconnect();
+            this.highpassFilterNode = null;
+        }
+        if (this.lowpassFilterNode) {
+            this.lowpassFilterNode.disconnect();
+            this.lowpassFilterNode = null;
+        }
         if (this.inputStreamNode) {
             this.inputStreamNode.disconnect();
             this.inputStreamNode = null;
@@ -902,6 +1923,49 @@ export default class RecorderService extends EventTarget {
         this.chunkType = null;
     }
 
+    /**
+     * 녹음 중 인코딩 데이터 조각 이벤트
+     * (조각을 순서대로 이어 붙이면 재생 가능한 스트림, WAV 는 첫 조각에 길이 미정 헤더 포함)
+     * @param {Blob} data
+     * @private
+     */
+    _onTimeslice(data) {
+        this.debug("RecorderService: Timeslice", data);
+
+        this.dispatchEvent(
+            new CustomEvent("dataavailable", {
+                detail: {
+                    ts: new Date().getTime(),
+                    data: data,
+                    mimeType: data.type,
+                    size: data.size,
+                },
+            })
+        );
+    }
+
+    /**
+     * 인코딩 Worker 로 전달할 메타데이터 생성 (설정된 메타데이터, 마커가 없을 경우 undefined)
+     * @returns {(RecordedMetadata|undefined)}
+     * @private
+     */
+    _createRecordedMetadata() {
+        const markers = (this.markers || []).concat(
+            (this.metadata && this.metadata.markers) || []
+        );
+        if (!this.metadata && !markers.length) {
+            return undefined;
+        }
+
+        return Object.assign(
+            {
+                originationDate: this.recordStartedAt,
+            },
+            this.metadata,
+            { markers: markers.sort((a, b) => a.position - b.position) }
+        );
+    }
+
     /**
      * 오류 발생 시 이벤트
      * @param {Event} event
@@ -952,3 +2016,18 @@ export default class RecorderService extends EventTarget {
         console.error(...data);
     }
 }
+
+// 기본 인코딩 Worker
+RecorderService.registerEncoder("wav", EncoderWav, (config) =>
+    config.wavContainer === "raw" ? "application/octet-stream" : "audio/wav"
+);
+RecorderService.registerEncoder("flac", EncoderFlac, "audio/flac");
+RecorderService.registerEncoder("mp3", EncoderMp3, "audio/mpeg");
+RecorderService.registerEncoder("opus", EncoderOpus, "audio/ogg; codecs=opus");
+RecorderService.registerEncoder("mulaw", EncoderG711, (config) =>
+    config.g711Container === "raw" ? "audio/PCMU" : "audio/wav"
+);
+RecorderService.registerEncoder("alaw", EncoderG711, (config) =>
+    config.g711Container === "raw" ? "audio/PCMA" : "audio/wav"
+);
+RecorderService.registerEncoder("adpcm", EncoderAdpcm, "audio/wav");
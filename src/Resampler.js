@@ -2,7 +2,7 @@
 //JavaScript Audio Resampler
 //Copyright (C) 2011-2015 Grant Galitz
 //Released to Public Domain
-function Resampler(fromSampleRate, toSampleRate, channels, inputBuffer) {
+function Resampler(fromSampleRate, toSampleRate, channels, inputBuffer, quality) {
     //Input Sample Rate:
     this.fromSampleRate = +fromSampleRate;
     //Output Sample Rate:
@@ -17,9 +17,19 @@ function Resampler(fromSampleRate, toSampleRate, channels, inputBuffer) {
         throw(new Error("inputBuffer is not an array or a float32 or a float64 array."));
     }
     this.inputBuffer = inputBuffer;
+    //Interpolation quality (linear: linear / multi-tap, low | medium | high: windowed-sinc):
+    this.quality = this.constructor.SINC_QUALITIES[quality] ? quality : "linear";
     //Initialize the resampler:
     this.initialize();
 }
+//Windowed-sinc quality presets (zero crossings per side, Kaiser window beta, cutoff relative to the lower Nyquist):
+Resampler.SINC_QUALITIES = {
+    low: { halfTaps: 8, beta: 5, cutoff: 0.85 },
+    medium: { halfTaps: 16, beta: 7, cutoff: 0.9 },
+    high: { halfTaps: 32, beta: 9, cutoff: 0.94 }
+};
+//Kernel table resolution (points per zero crossing):
+Resampler.SINC_RESOLUTION = 512;
 Resampler.prototype.initialize = function () {
 	//Perform some checks:
 	if (this.fromSampleRate > 0 && this.toSampleRate > 0 && this.channels > 0) {
@@ -31,13 +41,21 @@ Resampler.prototype.initialize = function () {
 		}
 		else {
             this.ratioWeight = this.fromSampleRate / this.toSampleRate;
-			if (this.fromSampleRate < this.toSampleRate) {
+			if (this.quality != "linear") {
+				/*
+					Band-limited windowed-sinc interpolation,
+					keeps its input history between calls.
+				*/
+				this.resampler = this.sincResampler;
+				this.initializeSinc();
+			}
+			else if (this.fromSampleRate < this.toSampleRate) {
 				/*
 					Use generic linear interpolation if upsampling,
 					as linear interpolation produces a gradient that we want
 					and works fine with two input sample points per output in this case.
 				*/
-				this.compileLinearInterpolationFunction();
+				this.resampler = this.linearInterpolation;
 				this.lastWeight = 1;
 			}
 			else {
@@ -46,7 +64,7 @@ Resampler.prototype.initialize = function () {
 					like standard linear interpolation in high downsampling.
 					This is more accurate than linear interpolation on downsampling.
 				*/
-				this.compileMultiTapFunction();
+				this.resampler = this.multiTap;
 				this.tailExists = false;
 				this.lastWeight = 0;
 			}
@@ -57,104 +75,231 @@ Resampler.prototype.initialize = function () {
 		throw(new Error("Invalid settings specified for the resampler."));
 	}
 }
-Resampler.prototype.compileLinearInterpolationFunction = function () {
-	var toCompile = "var outputOffset = 0;\
-    if (bufferLength > 0) {\
-        var buffer = this.inputBuffer;\
-        var weight = this.lastWeight;\
-        var firstWeight = 0;\
-        var secondWeight = 0;\
-        var sourceOffset = 0;\
-        var outputOffset = 0;\
-        var outputBuffer = this.outputBuffer;\
-        for (; weight < 1; weight += " + this.ratioWeight + ") {\
-            secondWeight = weight % 1;\
-            firstWeight = 1 - secondWeight;";
-            for (var channel = 0; channel < this.channels; ++channel) {
-                toCompile += "outputBuffer[outputOffset++] = (this.lastOutput[" + channel + "] * firstWeight) + (buffer[" + channel + "] * secondWeight);";
+Resampler.prototype.linearInterpolation = function (bufferLength) {
+    var outputOffset = 0;
+    if (bufferLength > 0) {
+        var channels = this.channels;
+        var ratioWeight = this.ratioWeight;
+        var buffer = this.inputBuffer;
+        var weight = this.lastWeight;
+        var firstWeight = 0;
+        var secondWeight = 0;
+        var sourceOffset = 0;
+        var outputBuffer = this.outputBuffer;
+        var channel = 0;
+        for (; weight < 1; weight += ratioWeight) {
+            secondWeight = weight % 1;
+            firstWeight = 1 - secondWeight;
+            for (channel = 0; channel < channels; ++channel) {
+                outputBuffer[outputOffset++] = (this.lastOutput[channel] * firstWeight) + (buffer[channel] * secondWeight);
             }
-        toCompile += "}\
-        weight -= 1;\
-        for (bufferLength -= " + this.channels + ", sourceOffset = Math.floor(weight) * " + this.channels + "; sourceOffset < bufferLength;) {\
-            secondWeight = weight % 1;\
-            firstWeight = 1 - secondWeight;";
-            for (var channel = 0; channel < this.channels; ++channel) {
-                toCompile += "outputBuffer[outputOffset++] = (buffer[sourceOffset" + ((channel > 0) ? (" + " + channel) : "") + "] * firstWeight) + (buffer[sourceOffset + " + (this.channels + channel) + "] * secondWeight);";
+        }
+        weight -= 1;
+        for (bufferLength -= channels, sourceOffset = Math.floor(weight) * channels; sourceOffset < bufferLength;) {
+            secondWeight = weight % 1;
+            firstWeight = 1 - secondWeight;
+            for (channel = 0; channel < channels; ++channel) {
+                outputBuffer[outputOffset++] = (buffer[sourceOffset + channel] * firstWeight) + (buffer[sourceOffset + channels + channel] * secondWeight);
             }
-            toCompile += "weight += " + this.ratioWeight + ";\
-            sourceOffset = Math.floor(weight) * " + this.channels + ";\
-        }";
-        for (var channel = 0; channel < this.channels; ++channel) {
-            toCompile += "this.lastOutput[" + channel + "] = buffer[sourceOffset++];";
+            weight += ratioWeight;
+            sourceOffset = Math.floor(weight) * channels;
         }
-        toCompile += "this.lastWeight = weight % 1;\
-    }\
-    return outputOffset;";
-	this.resampler = Function("bufferLength", toCompile);
-}
-Resampler.prototype.compileMultiTapFunction = function () {
-	var toCompile = "var outputOffset = 0;\
-    if (bufferLength > 0) {\
-        var buffer = this.inputBuffer;\
-        var weight = 0;";
-        for (var channel = 0; channel < this.channels; ++channel) {
-            toCompile += "var output" + channel + " = 0;"
+        for (channel = 0; channel < channels; ++channel) {
+            this.lastOutput[channel] = buffer[sourceOffset++];
         }
-        toCompile += "var actualPosition = 0;\
-        var amountToNext = 0;\
-        var alreadyProcessedTail = !this.tailExists;\
-        this.tailExists = false;\
-        var outputBuffer = this.outputBuffer;\
-        var currentPosition = 0;\
-        do {\
-            if (alreadyProcessedTail) {\
-                weight = " + this.ratioWeight + ";";
-                for (channel = 0; channel < this.channels; ++channel) {
-                    toCompile += "output" + channel + " = 0;"
+        this.lastWeight = weight % 1;
+    }
+    return outputOffset;
+}
+Resampler.prototype.multiTap = function (bufferLength) {
+    var outputOffset = 0;
+    if (bufferLength > 0) {
+        var channels = this.channels;
+        var ratioWeight = this.ratioWeight;
+        var buffer = this.inputBuffer;
+        var weight = 0;
+        //Per channel sums (double precision, reused between calls):
+        var output = this.tapSums;
+        var channel = 0;
+        var actualPosition = 0;
+        var amountToNext = 0;
+        var alreadyProcessedTail = !this.tailExists;
+        this.tailExists = false;
+        var outputBuffer = this.outputBuffer;
+        var currentPosition = 0;
+        do {
+            if (alreadyProcessedTail) {
+                weight = ratioWeight;
+                for (channel = 0; channel < channels; ++channel) {
+                    output[channel] = 0;
                 }
-            toCompile += "}\
-            else {\
-                weight = this.lastWeight;";
-                for (channel = 0; channel < this.channels; ++channel) {
-                    toCompile += "output" + channel + " = this.lastOutput[" + channel + "];"
+            }
+            else {
+                weight = this.lastWeight;
+                for (channel = 0; channel < channels; ++channel) {
+                    output[channel] = this.lastOutput[channel];
                 }
-                toCompile += "alreadyProcessedTail = true;\
-            }\
-            while (weight > 0 && actualPosition < bufferLength) {\
-                amountToNext = 1 + actualPosition - currentPosition;\
-                if (weight >= amountToNext) {";
-                    for (channel = 0; channel < this.channels; ++channel) {
-                        toCompile += "output" + channel + " += buffer[actualPosition++] * amountToNext;"
+                alreadyProcessedTail = true;
+            }
+            while (weight > 0 && actualPosition < bufferLength) {
+                amountToNext = 1 + actualPosition - currentPosition;
+                if (weight >= amountToNext) {
+                    for (channel = 0; channel < channels; ++channel) {
+                        output[channel] += buffer[actualPosition++] * amountToNext;
                     }
-                    toCompile += "currentPosition = actualPosition;\
-                    weight -= amountToNext;\
-                }\
-                else {";
-                    for (channel = 0; channel < this.channels; ++channel) {
-                        toCompile += "output" + channel + " += buffer[actualPosition" + ((channel > 0) ? (" + " + channel) : "") + "] * weight;"
+                    currentPosition = actualPosition;
+                    weight -= amountToNext;
+                }
+                else {
+                    for (channel = 0; channel < channels; ++channel) {
+                        output[channel] += buffer[actualPosition + channel] * weight;
                     }
-                    toCompile += "currentPosition += weight;\
-                    weight = 0;\
-                    break;\
-                }\
-            }\
-            if (weight <= 0) {";
-                for (channel = 0; channel < this.channels; ++channel) {
-                    toCompile += "outputBuffer[outputOffset++] = output" + channel + " / " + this.ratioWeight + ";"
+                    currentPosition += weight;
+                    weight = 0;
+                    break;
                 }
-            toCompile += "}\
-            else {\
-                this.lastWeight = weight;";
-                for (channel = 0; channel < this.channels; ++channel) {
-                    toCompile += "this.lastOutput[" + channel + "] = output" + channel + ";"
+            }
+            if (weight <= 0) {
+                for (channel = 0; channel < channels; ++channel) {
+                    outputBuffer[outputOffset++] = output[channel] / ratioWeight;
+                }
+            }
+            else {
+                this.lastWeight = weight;
+                for (channel = 0; channel < channels; ++channel) {
+                    this.lastOutput[channel] = output[channel];
                 }
-                toCompile += "this.tailExists = true;\
-                break;\
-            }\
-        } while (actualPosition < bufferLength);\
-    }\
-    return outputOffset;";
-	this.resampler = Function("bufferLength", toCompile);
+                this.tailExists = true;
+                break;
+            }
+        } while (actualPosition < bufferLength);
+    }
+    return outputOffset;
+}
+Resampler.prototype.initializeSinc = function () {
+    var settings = this.constructor.SINC_QUALITIES[this.quality];
+    var resolution = this.constructor.SINC_RESOLUTION;
+    //Cutoff in input sample rate units (1: input Nyquist), lowered below the output Nyquist when downsampling:
+    this.sincCutoff = Math.min(1, this.toSampleRate / this.fromSampleRate) * settings.cutoff;
+    //Kernel half width in input samples:
+    this.sincWidth = settings.halfTaps / this.sincCutoff;
+    //Kaiser windowed sinc, one side, sampled per zero crossing:
+    var length = settings.halfTaps * resolution;
+    this.sincTable = new Float32Array(length + 2);
+    var besselBeta = this.bessel(settings.beta);
+    for (var index = 0; index <= length; ++index) {
+        var x = index / resolution;
+        var ratio = x / settings.halfTaps;
+        var sinc = (index == 0) ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        this.sincTable[index] = sinc * this.bessel(settings.beta * Math.sqrt(1 - ratio * ratio)) / besselBeta;
+    }
+    //Input history, starts with silence so the first output lines up with the first input sample:
+    var history = Math.ceil(this.sincWidth) + 1;
+    this.sincBuffer = new Float32Array((history * 2 + 1024) * this.channels);
+    this.sincLength = history;
+    this.sincPosition = history;
+}
+Resampler.prototype.bessel = function (x) {
+    //Zeroth order modified Bessel function of the first kind:
+    var sum = 1;
+    var term = 1;
+    for (var k = 1; k < 32; ++k) {
+        term *= (x / (2 * k)) * (x / (2 * k));
+        sum += term;
+    }
+    return sum;
+}
+Resampler.prototype.sincResampler = function (bufferLength) {
+    var channels = this.channels;
+    var frames = Math.floor(bufferLength / channels);
+    var buffer = this.sincBuffer;
+    //Append the input to the history:
+    if ((this.sincLength + frames) * channels > buffer.length) {
+        buffer = new Float32Array((this.sincLength + frames) * channels * 2);
+        buffer.set(this.sincBuffer.subarray(0, this.sincLength * channels));
+        this.sincBuffer = buffer;
+    }
+    var input = this.inputBuffer;
+    if (input.length != frames * channels || !input.subarray) {
+        input = input.subarray ? input.subarray(0, frames * channels) : input.slice(0, frames * channels);
+    }
+    buffer.set(input, this.sincLength * channels);
+    this.sincLength += frames;
+    var maximumOutput = (Math.ceil((this.sincLength - this.sincPosition) / this.ratioWeight) + 1) * channels;
+    if (this.outputBuffer.length < maximumOutput) {
+        this.outputBuffer = new Float32Array(maximumOutput);
+    }
+    var outputBuffer = this.outputBuffer;
+    var outputOffset = 0;
+    var table = this.sincTable;
+    var cutoff = this.sincCutoff;
+    var width = this.sincWidth;
+    var scale = cutoff * this.constructor.SINC_RESOLUTION;
+    var position = this.sincPosition;
+    //Only while the kernel is covered by the input received so far:
+    while (Math.floor(position + width) < this.sincLength) {
+        var first = Math.ceil(position - width);
+        var last = Math.floor(position + width);
+        for (var channel = 0; channel < channels; ++channel) {
+            outputBuffer[outputOffset + channel] = 0;
+        }
+        for (var sourceIndex = first; sourceIndex <= last; ++sourceIndex) {
+            var tableOffset = Math.abs(sourceIndex - position) * scale;
+            var tableIndex = tableOffset | 0;
+            var coefficient = table[tableIndex] + (table[tableIndex + 1] - table[tableIndex]) * (tableOffset - tableIndex);
+            for (channel = 0; channel < channels; ++channel) {
+                outputBuffer[outputOffset + channel] += buffer[sourceIndex * channels + channel] * coefficient;
+            }
+        }
+        for (channel = 0; channel < channels; ++channel) {
+            outputBuffer[outputOffset + channel] *= cutoff;
+        }
+        outputOffset += channels;
+        position += this.ratioWeight;
+    }
+    //Drop the history no longer reached by the kernel:
+    var consumed = Math.max(0, Math.floor(position - width) - 1);
+    buffer.copyWithin(0, consumed * channels, this.sincLength * channels);
+    this.sincLength -= consumed;
+    this.sincPosition = position - consumed;
+    return outputOffset;
+}
+Resampler.prototype.process = function (inputBuffer) {
+    //Streaming: resample the next buffer, carrying the state over from the previous one.
+    //The returned view is reused by the next call.
+    var outputLength = this.processToOutputBuffer(inputBuffer);
+    if (this.resampler == this.bypassResampler) {
+        return inputBuffer;
+    }
+    return this.outputBuffer.subarray(0, outputLength);
+}
+Resampler.prototype.processToOutputBuffer = function (inputBuffer) {
+    //Streaming without allocation (real-time threads): resample the next buffer into this.outputBuffer.
+    //Returns the output length, the output buffer only grows when the input buffer does.
+    this.inputBuffer = inputBuffer;
+    if (this.resampler == this.bypassResampler) {
+        this.outputBuffer = inputBuffer;
+        return inputBuffer.length;
+    }
+    var outputBufferSize = (Math.ceil(inputBuffer.length * this.toSampleRate / this.fromSampleRate / this.channels * 1.000000476837158203125) * this.channels) + this.channels;
+    if (this.outputBuffer.length < outputBufferSize) {
+        this.outputBuffer = new Float32Array(outputBufferSize);
+    }
+    return this.resampler(inputBuffer.length);
+}
+Resampler.prototype.flush = function (length) {
+    //Feed silence until "length" more output frames (filter delay, partial tail) came out:
+    var output = new Float32Array(length * this.channels);
+    var outputOffset = 0;
+    var silenceFrames = Math.ceil((length + 2) * this.ratioWeight + (this.sincWidth || 0)) + 2;
+    var silence = new Float32Array(silenceFrames * this.channels);
+    while (outputOffset < output.length) {
+        var resampled = this.process(silence);
+        var copyLength = Math.min(resampled.length, output.length - outputOffset);
+        output.set(resampled.subarray(0, copyLength), outputOffset);
+        outputOffset += copyLength;
+    }
+    return output;
 }
 Resampler.prototype.bypassResampler = function (upTo) {
     return upTo;
@@ -165,11 +310,24 @@ Resampler.prototype.initializeBuffers = function () {
 	try {
 		this.outputBuffer = new Float32Array(outputBufferSize);
 		this.lastOutput = new Float32Array(this.channels);
+		this.tapSums = new Float64Array(this.channels);
 	}
 	catch (error) {
 		this.outputBuffer = [];
 		this.lastOutput = [];
+		this.tapSums = [];
 	}
 }
 
+Resampler.toSource = function () {
+    //Source of the resampler (constructor, presets and prototype) for worklet / worker scopes:
+    var source = "var Resampler = " + Resampler.toString() + ";\n";
+    source += "Resampler.SINC_QUALITIES = " + JSON.stringify(Resampler.SINC_QUALITIES) + ";\n";
+    source += "Resampler.SINC_RESOLUTION = " + Resampler.SINC_RESOLUTION + ";\n";
+    for (var name in Resampler.prototype) {
+        source += "Resampler.prototype." + name + " = " + Resampler.prototype[name].toString() + ";\n";
+    }
+    return source;
+}
+
 export default Resampler;
\ No newline at end of file
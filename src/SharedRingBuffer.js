@@ -0,0 +1,293 @@
+/**
+ * SharedRingBuffer
+ * SharedArrayBuffer lock-free 링 버퍼 (writer 1, reader N, 채널별 planar 데이터)
+ * AudioProcessor (writer) -> 메인 스레드, 인코딩 Worker (reader)
+ * 손실 허용 reader (메인 스레드) 는 writer 를 막지 않고, 늦을 경우 writer 가 읽기 위치를 앞당김
+ *
+ * @class
+ */
+export default class SharedRingBuffer {
+    /**
+     * 공유 버퍼
+     * @typedef {Object} SharedRingBufferState
+     * @property {Number} capacity                  채널별 프레임 수 (2의 거듭제곱)
+     * @property {Number} channelCount              채널 수
+     * @property {Number} readerCount               reader 수
+     * @property {Array<Boolean>} lossy             reader 별 손실 허용 여부
+     * @property {SharedArrayBuffer} control        [쓰기 위치, 버려진 프레임 수, reader 별 읽기 위치, reader 별 건너뛴 프레임 수] (Int32)
+     * @property {SharedArrayBuffer} data           채널별 데이터 (Float32)
+     */
+
+    /**
+     * 공유 버퍼 생성
+     * @param {Number} capacity 채널별 최소 프레임 수
+     * @param {Number} channelCount 채널 수
+     * @param {Number} readerCount reader 수
+     * @param {Array<Boolean>} [lossy] reader 별 손실 허용 여부 (true -> 공간이 부족하면 쓰기를 막지 않고 오래된 프레임을 건너뜀)
+     * @returns {SharedRingBufferState} Worklet, Worker 에 전달할 공유 버퍼
+     */
+    static create(capacity, channelCount, readerCount, lossy = []) {
+        // 위치 (Int32) 가 넘쳐도 나머지 연산이 유지되도록 2의 거듭제곱
+        capacity = 2 ** Math.ceil(Math.log2(capacity));
+        return {
+            capacity: capacity,
+            channelCount: channelCount,
+            readerCount: readerCount,
+            lossy: Array.from({ length: readerCount }, (v, i) =>
+                Boolean(lossy[i])
+            ),
+            control: new SharedArrayBuffer(4 * (2 + 2 * readerCount)),
+            data: new SharedArrayBuffer(4 * capacity * channelCount),
+        };
+    }
+
+    /**
+     * SharedArrayBuffer 사용 가능 여부 (cross-origin isolated 페이지)
+     * @returns {Boolean}
+     */
+    static isAvailable() {
+        return (
+            typeof SharedArrayBuffer !== "undefined" &&
+            typeof Atomics !== "undefined" &&
+            globalThis.crossOriginIsolated === true
+        );
+    }
+
+    /**
+     * Worklet, Worker 스크립트 앞에 추가할 소스
+     * @returns {String}
+     */
+    static toSource() {
+        return `const SharedRingBuffer = ${SharedRingBuffer.toString()};\n`;
+    }
+
+    /**
+     * 인코딩 Worker 스크립트 앞에 추가할 소스 (링 버퍼 -> "encode" 메시지)
+     * @returns {String}
+     */
+    static toWorkerSource() {
+        return `${SharedRingBuffer.toSource()}SharedRingBuffer.attachToWorker();\n`;
+    }
+
+    /**
+     * 인코딩 Worker 에서 ["ring", state, reader, interval] 메시지를 받으면
+     * 링 버퍼의 데이터를 ["encode", buffers] 메시지로 Worker 에 전달
+     * ("dump" 전에 남은 데이터 전달)
+     */
+    static attachToWorker() {
+        let ring = null;
+        let reader = 0;
+        let interval = 0;
+
+        const drain = () => {
+            const buffers = ring.read(reader);
+            if (buffers) {
+                self.onmessage({ data: ["encode", buffers] });
+            }
+        };
+        const poll = () => {
+            if (!ring) {
+                return;
+            }
+            const writeIndex = ring.writeIndex();
+            drain();
+            ring.wait(writeIndex, interval, poll);
+        };
+
+        // Worker 의 onmessage 보다 먼저 등록
+        self.addEventListener("message", (e) => {
+            if (e.data[0] === "ring") {
+                ring = new SharedRingBuffer(e.data[1]);
+                reader = e.data[2];
+                interval = e.data[3];
+                poll();
+            } else if (e.data[0] === "dump" && ring) {
+                drain();
+            } else if (e.data[0] === "close") {
+                ring = null;
+            }
+        });
+    }
+
+    /**
+     * @param {SharedRingBufferState} state 공유 버퍼
+     */
+    constructor(state) {
+        this.capacity = state.capacity;
+        this.channelCount = state.channelCount;
+        this.readerCount = state.readerCount;
+        this.lossy = state.lossy || [];
+        this.control = new Int32Array(state.control);
+        this.data = new Float32Array(state.data);
+    }
+
+    /**
+     * 쓰기 위치 (누적 프레임 수, Int32 overflow)
+     * @returns {Number}
+     */
+    writeIndex() {
+        return Atomics.load(this.control, 0);
+    }
+
+    /**
+     * 공간이 부족해 버려진 프레임 수
+     * @returns {Number}
+     */
+    dropped() {
+        return Atomics.load(this.control, 1);
+    }
+
+    /**
+     * 손실 허용 reader 가 늦어 건너뛴 프레임 수
+     * @param {Number} reader reader 번호
+     * @returns {Number}
+     */
+    skipped(reader) {
+        return Atomics.load(this.control, 2 + this.readerCount + reader);
+    }
+
+    /**
+     * 채널별 프레임 쓰기 (할당 없음)
+     * 가장 느린 손실 불가 reader 기준으로 공간이 부족할 경우 버리고 dropped 증가
+     * 손실 허용 reader 는 공간이 부족할 경우 읽기 위치를 앞당기고 skipped 증가
+     * @param {Array<Float32Array>} buffers 채널별 버퍼
+     * @param {Number} length 프레임 수
+     * @returns {Boolean} 쓰기 성공 여부
+     */
+    write(buffers, length) {
+        const writeIndex = Atomics.load(this.control, 0);
+        let used = 0;
+        for (let reader = 0; reader < this.readerCount; reader++) {
+            if (this.lossy[reader]) {
+                continue;
+            }
+            const readIndex = Atomics.load(this.control, 2 + reader);
+            used = Math.max(used, (writeIndex - readIndex) | 0);
+        }
+        if (length > this.capacity - used) {
+            Atomics.add(this.control, 1, length);
+            return false;
+        }
+        // 데이터를 덮어쓰기 전에 손실 허용 reader 의 읽기 위치 이동 (reader 와 compareExchange 로 경쟁)
+        for (let reader = 0; reader < this.readerCount; reader++) {
+            if (!this.lossy[reader]) {
+                continue;
+            }
+            for (;;) {
+                const readIndex = Atomics.load(this.control, 2 + reader);
+                const overflow =
+                    ((writeIndex + length - readIndex) | 0) - this.capacity;
+                if (overflow <= 0) {
+                    break;
+                }
+                if (
+                    Atomics.compareExchange(
+                        this.control,
+                        2 + reader,
+                        readIndex,
+                        (readIndex + overflow) | 0
+                    ) === readIndex
+                ) {
+                    Atomics.add(
+                        this.control,
+                        2 + this.readerCount + reader,
+                        overflow
+                    );
+                    break;
+                }
+            }
+        }
+
+        const mask = this.capacity - 1;
+        for (let channel = 0; channel < this.channelCount; channel++) {
+            const buffer = buffers[channel];
+            const offset = channel * this.capacity;
+            for (let i = 0; i < length; i++) {
+                this.data[offset + ((writeIndex + i) & mask)] = buffer[i];
+            }
+        }
+        Atomics.store(this.control, 0, (writeIndex + length) | 0);
+        Atomics.notify(this.control, 0);
+        return true;
+    }
+
+    /**
+     * reader 가 아직 읽지 않은 프레임 모두 읽기
+     * 손실 허용 reader 는 읽는 동안 writer 가 덮어쓴 앞부분을 버림
+     * @param {Number} reader reader 번호
+     * @returns {(Array<Float32Array>|undefined)} 채널별 버퍼, 읽을 프레임이 없을 경우 undefined
+     */
+    read(reader) {
+        const writeIndex = Atomics.load(this.control, 0);
+        const readIndex = Atomics.load(this.control, 2 + reader);
+        let length = (writeIndex - readIndex) | 0;
+        if (length <= 0) {
+            return undefined;
+        }
+
+        const mask = this.capacity - 1;
+        const buffers = [];
+        for (let channel = 0; channel < this.channelCount; channel++) {
+            const buffer = new Float32Array(length);
+            const offset = channel * this.capacity;
+            for (let i = 0; i < length; i++) {
+                buffer[i] = this.data[offset + ((readIndex + i) & mask)];
+            }
+            buffers.push(buffer);
+        }
+        if (!this.lossy[reader]) {
+            Atomics.store(this.control, 2 + reader, writeIndex);
+            return buffers;
+        }
+
+        // writer 가 읽기 위치를 앞당겼을 경우 그 앞은 덮어쓴 데이터
+        for (;;) {
+            const current = Atomics.load(this.control, 2 + reader);
+            if (((writeIndex - current) | 0) < 0) {
+                return undefined;
+            }
+            if (
+                Atomics.compareExchange(
+                    this.control,
+                    2 + reader,
+                    current,
+                    writeIndex
+                ) === current
+            ) {
+                const skipped = (current - readIndex) | 0;
+                if (skipped <= 0) {
+                    return buffers;
+                }
+                length -= skipped;
+                return length > 0
+                    ? buffers.map((buffer) => buffer.subarray(skipped))
+                    : undefined;
+            }
+        }
+    }
+
+    /**
+     * 쓰기 위치가 writeIndex 에서 바뀌거나 timeout 이 지나면 callback 호출
+     * (Atomics.waitAsync 를 지원하지 않을 경우 timeout 마다 호출)
+     * @param {Number} writeIndex 마지막으로 확인한 쓰기 위치
+     * @param {Number} timeout ms
+     * @param {Function} callback
+     */
+    wait(writeIndex, timeout, callback) {
+        if (typeof Atomics.waitAsync === "function") {
+            const result = Atomics.waitAsync(
+                this.control,
+                0,
+                writeIndex,
+                timeout
+            );
+            if (result.async) {
+                result.value.then(callback);
+            } else {
+                setTimeout(callback, 0);
+            }
+        } else {
+            setTimeout(callback, timeout);
+        }
+    }
+}
@@ -0,0 +1,217 @@
+const worker = function () {
+    // IMA ADPCM step sizes and step index adjustments
+    let STEP_SIZES = [
+        7, 8, 9, 10, 11, 12, 13, 14, 16, 17, 19, 21, 23, 25, 28, 31, 34, 37,
+        41, 45, 50, 55, 60, 66, 73, 80, 88, 97, 107, 118, 130, 143, 157, 173,
+        190, 209, 230, 253, 279, 307, 337, 371, 408, 449, 494, 544, 598, 658,
+        724, 796, 876, 963, 1060, 1166, 1282, 1411, 1552, 1707, 1878, 2066,
+        2272, 2499, 2749, 3024, 3327, 3660, 4026, 4428, 4871, 5358, 5894, 6484,
+        7132, 7845, 8630, 9493, 10442, 11487, 12635, 13899, 15289, 16818,
+        18500, 20350, 22385, 24623, 27086, 29794, 32767,
+    ];
+    let INDEX_ADJUSTMENTS = [-1, -1, -1, -1, 2, 4, 6, 8];
+
+    let CHANNELS = 1;
+    // block align (bytes) and sample frames per block
+    let BLOCK_ALIGN = 256;
+    let SAMPLES_PER_BLOCK = 505;
+
+    // per channel encoder state
+    let predictors = [];
+    let stepIndexes = [];
+    // 16-bit samples waiting for a full block
+    let pending = [];
+    let pendingLength = 0;
+    let sampleCount = 0;
+    let blocks = [];
+
+    function init(config) {
+        let sampleRate = config.sampleRate || 16000;
+        // mono / stereo only, like most IMA ADPCM decoders
+        CHANNELS = Math.min(config.channels || 1, 2);
+        // 256 bytes per channel up to 11 kHz, doubling with the sample rate
+        BLOCK_ALIGN =
+            256 * CHANNELS * Math.max(1, Math.floor(sampleRate / 11025));
+        // header sample + 2 samples per byte
+        SAMPLES_PER_BLOCK = ((BLOCK_ALIGN / CHANNELS - 4) * 8) / 4 + 1;
+        reset();
+    }
+
+    function reset() {
+        predictors = [];
+        stepIndexes = [];
+        pending = [];
+        for (let channel = 0; channel < CHANNELS; channel++) {
+            predictors.push(0);
+            stepIndexes.push(0);
+            pending.push(new Int16Array(SAMPLES_PER_BLOCK));
+        }
+        pendingLength = 0;
+        sampleCount = 0;
+        blocks = [];
+    }
+
+    function encode(buffers) {
+        let length = buffers[0].length;
+        for (let i = 0; i < length; i++) {
+            for (let channel = 0; channel < CHANNELS; channel++) {
+                let sample = buffers[channel][i];
+                if (sample > 1) {
+                    sample = 1;
+                } else if (sample < -1) {
+                    sample = -1;
+                }
+                pending[channel][pendingLength] = Math.max(
+                    -32768,
+                    Math.min(32767, Math.round(sample * 32768))
+                );
+            }
+            if (++pendingLength === SAMPLES_PER_BLOCK) {
+                encodeBlock();
+            }
+        }
+        sampleCount += length;
+    }
+
+    function encodeSample(channel, sample) {
+        let predictor = predictors[channel];
+        let step = STEP_SIZES[stepIndexes[channel]];
+
+        let diff = sample - predictor;
+        let code = 0;
+        if (diff < 0) {
+            code = 8;
+            diff = -diff;
+        }
+        // quantize the difference by the step size (3 bits)
+        let delta = step >> 3;
+        if (diff >= step) {
+            code |= 4;
+            diff -= step;
+            delta += step;
+        }
+        step >>= 1;
+        if (diff >= step) {
+            code |= 2;
+            diff -= step;
+            delta += step;
+        }
+        step >>= 1;
+        if (diff >= step) {
+            code |= 1;
+            delta += step;
+        }
+
+        predictor += code & 8 ? -delta : delta;
+        predictors[channel] = Math.max(-32768, Math.min(32767, predictor));
+        stepIndexes[channel] = Math.max(
+            0,
+            Math.min(88, stepIndexes[channel] + INDEX_ADJUSTMENTS[code & 7])
+        );
+        return code;
+    }
+
+    /**
+     * One block: per channel header (first sample, step index) and
+     * 4-bit codes, channels interleaved by 4 bytes (8 samples)
+     */
+    function encodeBlock() {
+        let block = new Uint8Array(BLOCK_ALIGN);
+        let view = new DataView(block.buffer);
+
+        for (let channel = 0; channel < CHANNELS; channel++) {
+            predictors[channel] = pending[channel][0];
+            view.setInt16(channel * 4, predictors[channel], true);
+            block[channel * 4 + 2] = stepIndexes[channel];
+            block[channel * 4 + 3] = 0;
+        }
+
+        let offset = CHANNELS * 4;
+        for (let i = 1; i < SAMPLES_PER_BLOCK; i += 8) {
+            for (let channel = 0; channel < CHANNELS; channel++) {
+                for (let j = 0; j < 8; j += 2) {
+                    // low nibble first
+                    let samples = pending[channel];
+                    let low = encodeSample(channel, samples[i + j]);
+                    let high = encodeSample(channel, samples[i + j + 1]);
+                    block[offset++] = low | (high << 4);
+                }
+            }
+        }
+
+        blocks.push(block);
+        pending.forEach((samples) => samples.fill(0));
+        pendingLength = 0;
+    }
+
+    function dump(sampleRate) {
+        // last partial block, padded with silence
+        if (pendingLength > 0) {
+            encodeBlock();
+        }
+
+        let length = blocks.length * BLOCK_ALIGN;
+        let headerLength = 60;
+        let header = new Uint8Array(headerLength);
+        let view = new DataView(header.buffer);
+
+        // RIFF identifier 'RIFF'
+        view.setUint32(0, 1380533830, false);
+        // file length minus RIFF identifier length and file description length
+        view.setUint32(4, headerLength - 8 + length, true);
+        // RIFF type 'WAVE'
+        view.setUint32(8, 1463899717, false);
+        // format chunk identifier 'fmt '
+        view.setUint32(12, 1718449184, false);
+        // format chunk length
+        view.setUint32(16, 20, true);
+        // sample format (0x11: IMA ADPCM)
+        view.setUint16(20, 0x11, true);
+        // channel count
+        view.setUint16(22, CHANNELS, true);
+        // sample rate
+        view.setUint32(24, sampleRate, true);
+        // byte rate (sample rate * block align / samples per block)
+        view.setUint32(
+            28,
+            Math.round((sampleRate * BLOCK_ALIGN) / SAMPLES_PER_BLOCK),
+            true
+        );
+        // block align
+        view.setUint16(32, BLOCK_ALIGN, true);
+        // bits per sample
+        view.setUint16(34, 4, true);
+        // extension size
+        view.setUint16(36, 2, true);
+        // samples per block
+        view.setUint16(38, SAMPLES_PER_BLOCK, true);
+        // fact chunk identifier 'fact'
+        view.setUint32(40, 1717658484, false);
+        // fact chunk length
+        view.setUint32(44, 4, true);
+        // sample frame count
+        view.setUint32(48, sampleCount, true);
+        // data chunk identifier 'data'
+        view.setUint32(52, 1684108385, false);
+        // data chunk length
+        view.setUint32(56, length, true);
+
+        let msg = [header.buffer].concat(blocks.map((block) => block.buffer));
+        reset();
+        postMessage(msg, msg);
+    }
+
+    self.onmessage = function (e) {
+        if (e.data[0] === "init") {
+            init(e.data[1]);
+        } else if (e.data[0] === "encode") {
+            encode(e.data[1]);
+        } else if (e.data[0] === "dump") {
+            dump(e.data[1]);
+        } else if (e.data[0] === "close") {
+            self.close();
+        }
+    };
+};
+
+export default worker;
@@ -0,0 +1,508 @@
+const worker = function () {
+    let BLOCK_SIZE = 4096;
+    let MAX_PARTITION_ORDER = 8;
+    let BITS_PER_SAMPLE = 16;
+    let CHANNELS = 1;
+    let SAMPLE_RATE = 16000;
+
+    // frame header sample rate codes
+    let SAMPLE_RATE_CODES = {
+        88200: 1,
+        176400: 2,
+        192000: 3,
+        8000: 4,
+        16000: 5,
+        22050: 6,
+        24000: 7,
+        32000: 8,
+        44100: 9,
+        48000: 10,
+        96000: 11,
+    };
+    // fixed predictor coefficients (order 0 ~ 4)
+    let FIXED_COEFFICIENTS = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+
+    let CRC8_TABLE = createCrcTable(8, 0x07);
+    let CRC16_TABLE = createCrcTable(16, 0x8005);
+
+    let block = [];
+    let blockLength = 0;
+    let frames = [];
+    let frameNumber = 0;
+    let totalSamples = 0;
+    let minFrameSize = 0;
+    let maxFrameSize = 0;
+
+    class BitWriter {
+        constructor(capacity) {
+            this.bytes = new Uint8Array(capacity);
+            this.byteOffset = 0;
+            this.bitBuffer = 0;
+            this.bitCount = 0;
+        }
+
+        writeBits(value, bits) {
+            while (bits > 0) {
+                let take = Math.min(bits, 8 - this.bitCount);
+                let chunk = (value >>> (bits - take)) & ((1 << take) - 1);
+                this.bitBuffer = (this.bitBuffer << take) | chunk;
+                this.bitCount += take;
+                bits -= take;
+                if (this.bitCount === 8) {
+                    this.writeByte(this.bitBuffer);
+                    this.bitBuffer = 0;
+                    this.bitCount = 0;
+                }
+            }
+        }
+
+        writeUnary(count) {
+            while (count >= 16) {
+                this.writeBits(0, 16);
+                count -= 16;
+            }
+            this.writeBits(1, count + 1);
+        }
+
+        writeByte(byte) {
+            if (this.byteOffset === this.bytes.length) {
+                let grown = new Uint8Array(this.bytes.length * 2);
+                grown.set(this.bytes, 0);
+                this.bytes = grown;
+            }
+            this.bytes[this.byteOffset++] = byte;
+        }
+
+        align() {
+            if (this.bitCount > 0) {
+                this.writeBits(0, 8 - this.bitCount);
+            }
+        }
+
+        toUint8Array() {
+            return this.bytes.slice(0, this.byteOffset);
+        }
+    }
+
+    function createCrcTable(width, polynomial) {
+        let table = new Uint16Array(256);
+        let topBit = 1 << (width - 1);
+        let mask = (1 << width) - 1;
+        for (let i = 0; i < 256; i++) {
+            let crc = i << (width - 8);
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & topBit ? (crc << 1) ^ polynomial : crc << 1;
+            }
+            table[i] = crc & mask;
+        }
+        return table;
+    }
+
+    function crc8(bytes, length) {
+        let crc = 0;
+        for (let i = 0; i < length; i++) {
+            crc = CRC8_TABLE[crc ^ bytes[i]];
+        }
+        return crc;
+    }
+
+    function crc16(bytes, length) {
+        let crc = 0;
+        for (let i = 0; i < length; i++) {
+            crc = ((crc << 8) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]]) & 0xffff;
+        }
+        return crc;
+    }
+
+    function init(config) {
+        BITS_PER_SAMPLE = config.bitDepth === 24 ? 24 : 16;
+        CHANNELS = config.channels || 1;
+        SAMPLE_RATE = config.sampleRate || SAMPLE_RATE;
+        reset();
+    }
+
+    function reset() {
+        block = [];
+        for (let channel = 0; channel < CHANNELS; channel++) {
+            block.push(new Int32Array(BLOCK_SIZE));
+        }
+        blockLength = 0;
+        frames = [];
+        frameNumber = 0;
+        totalSamples = 0;
+        minFrameSize = 0;
+        maxFrameSize = 0;
+    }
+
+    function encode(buffers) {
+        let length = buffers[0].length;
+        let scale = 2 ** (BITS_PER_SAMPLE - 1);
+        for (let i = 0; i < length; i++) {
+            for (let channel = 0; channel < CHANNELS; channel++) {
+                let sample = Math.round(buffers[channel][i] * scale);
+                if (sample >= scale) {
+                    sample = scale - 1;
+                } else if (sample < -scale) {
+                    sample = -scale;
+                }
+                block[channel][blockLength] = sample;
+            }
+            if (++blockLength === BLOCK_SIZE) {
+                encodeFrame(blockLength);
+                blockLength = 0;
+            }
+        }
+    }
+
+    function encodeFrame(length) {
+        let channels = block.map((samples) => samples.subarray(0, length));
+        // independent channels
+        let assignment = CHANNELS - 1;
+        let subframes;
+
+        if (CHANNELS === 2) {
+            // stereo decorrelation (left/side, right/side, mid/side)
+            let left = channels[0];
+            let right = channels[1];
+            let mid = new Int32Array(length);
+            let side = new Int32Array(length);
+            for (let i = 0; i < length; i++) {
+                mid[i] = (left[i] + right[i]) >> 1;
+                side[i] = left[i] - right[i];
+            }
+            let l = analyzeSubframe(left, BITS_PER_SAMPLE);
+            let r = analyzeSubframe(right, BITS_PER_SAMPLE);
+            let m = analyzeSubframe(mid, BITS_PER_SAMPLE);
+            let s = analyzeSubframe(side, BITS_PER_SAMPLE + 1);
+            let candidates = [
+                [1, [l, r]],
+                [8, [l, s]],
+                [9, [s, r]],
+                [10, [m, s]],
+            ];
+            let best = candidates[0];
+            candidates.forEach((candidate) => {
+                if (
+                    candidate[1][0].bits + candidate[1][1].bits <
+                    best[1][0].bits + best[1][1].bits
+                ) {
+                    best = candidate;
+                }
+            });
+            assignment = best[0];
+            subframes = best[1];
+        } else {
+            subframes = channels.map((samples) =>
+                analyzeSubframe(samples, BITS_PER_SAMPLE)
+            );
+        }
+
+        let writer = new BitWriter(
+            length * CHANNELS * (BITS_PER_SAMPLE / 8 + 1) + 32
+        );
+        writeFrameHeader(writer, length, assignment);
+        subframes.forEach((subframe) => writeSubframe(writer, subframe));
+        writer.align();
+        writer.writeBits(crc16(writer.bytes, writer.byteOffset), 16);
+
+        let frame = writer.toUint8Array();
+        frames.push(frame);
+        minFrameSize = minFrameSize
+            ? Math.min(minFrameSize, frame.length)
+            : frame.length;
+        maxFrameSize = Math.max(maxFrameSize, frame.length);
+        frameNumber++;
+        totalSamples += length;
+    }
+
+    function writeFrameHeader(writer, length, assignment) {
+        // sync code, reserved, fixed block size
+        writer.writeBits(0xfff8, 16);
+
+        let blockSizeCode = length === BLOCK_SIZE ? 12 : length <= 256 ? 6 : 7;
+        writer.writeBits(blockSizeCode, 4);
+
+        let sampleRateCode = SAMPLE_RATE_CODES[SAMPLE_RATE];
+        if (sampleRateCode === undefined) {
+            if (SAMPLE_RATE % 1000 === 0 && SAMPLE_RATE <= 255000) {
+                sampleRateCode = 12;
+            } else if (SAMPLE_RATE <= 65535) {
+                sampleRateCode = 13;
+            } else if (SAMPLE_RATE % 10 === 0 && SAMPLE_RATE <= 655350) {
+                sampleRateCode = 14;
+            } else {
+                sampleRateCode = 0;
+            }
+        }
+        writer.writeBits(sampleRateCode, 4);
+        writer.writeBits(assignment, 4);
+        // sample size (100: 16-bit, 110: 24-bit)
+        writer.writeBits(BITS_PER_SAMPLE === 24 ? 6 : 4, 3);
+        writer.writeBits(0, 1);
+
+        writeUtf8(writer, frameNumber);
+
+        if (blockSizeCode === 6) {
+            writer.writeBits(length - 1, 8);
+        } else if (blockSizeCode === 7) {
+            writer.writeBits(length - 1, 16);
+        }
+        if (sampleRateCode === 12) {
+            writer.writeBits(SAMPLE_RATE / 1000, 8);
+        } else if (sampleRateCode === 13) {
+            writer.writeBits(SAMPLE_RATE, 16);
+        } else if (sampleRateCode === 14) {
+            writer.writeBits(SAMPLE_RATE / 10, 16);
+        }
+
+        writer.writeBits(crc8(writer.bytes, writer.byteOffset), 8);
+    }
+
+    function writeUtf8(writer, value) {
+        if (value < 0x80) {
+            writer.writeBits(value, 8);
+            return;
+        }
+        let bytes =
+            value < 0x800
+                ? 2
+                : value < 0x10000
+                ? 3
+                : value < 0x200000
+                ? 4
+                : value < 0x4000000
+                ? 5
+                : 6;
+        let shift = (bytes - 1) * 6;
+        writer.writeBits(((0xff00 >> bytes) & 0xff) | (value >>> shift), 8);
+        while (shift > 0) {
+            shift -= 6;
+            writer.writeBits(0x80 | ((value >>> shift) & 0x3f), 8);
+        }
+    }
+
+    function analyzeSubframe(samples, bps) {
+        let length = samples.length;
+        let isConstant = true;
+        for (let i = 1; i < length; i++) {
+            if (samples[i] !== samples[0]) {
+                isConstant = false;
+                break;
+            }
+        }
+        if (isConstant) {
+            return { type: "constant", samples, bps, bits: bps };
+        }
+
+        let best = { type: "verbatim", samples, bps, bits: bps * length };
+        for (let order = 0; order <= 4 && order < length; order++) {
+            let residual = fixedResidual(samples, order);
+            let rice = findRiceParameters(residual, order, length);
+            let bits = order * bps + rice.bits;
+            if (bits < best.bits) {
+                best = {
+                    type: "fixed",
+                    samples,
+                    bps,
+                    bits,
+                    order,
+                    residual,
+                    rice,
+                };
+            }
+        }
+        return best;
+    }
+
+    function fixedResidual(samples, order) {
+        let coefficients = FIXED_COEFFICIENTS[order];
+        let residual = new Int32Array(samples.length - order);
+        for (let i = order; i < samples.length; i++) {
+            let prediction = 0;
+            for (let j = 0; j < order; j++) {
+                prediction += coefficients[j] * samples[i - j - 1];
+            }
+            residual[i - order] = samples[i] - prediction;
+        }
+        return residual;
+    }
+
+    function findRiceParameters(residual, order, blockSize) {
+        // zigzag folding
+        let folded = new Float64Array(residual.length);
+        for (let i = 0; i < residual.length; i++) {
+            folded[i] = residual[i] >= 0 ? residual[i] * 2 : -residual[i] * 2 - 1;
+        }
+
+        // finest partition order available for this block
+        let maxPartitionOrder = 0;
+        while (
+            maxPartitionOrder < MAX_PARTITION_ORDER &&
+            blockSize % (1 << (maxPartitionOrder + 1)) === 0 &&
+            blockSize >> (maxPartitionOrder + 1) > order
+        ) {
+            maxPartitionOrder++;
+        }
+
+        // partition sums of the finest order, merged pairwise for coarser orders
+        let partitionLength = blockSize >> maxPartitionOrder;
+        let sums = [];
+        let offset = 0;
+        for (let p = 0; p < 1 << maxPartitionOrder; p++) {
+            let end = (p + 1) * partitionLength - order;
+            let sum = 0;
+            for (let i = offset; i < end; i++) {
+                sum += folded[i];
+            }
+            sums.push(sum);
+            offset = end;
+        }
+
+        let best = null;
+        for (
+            let partitionOrder = maxPartitionOrder;
+            partitionOrder >= 0;
+            partitionOrder--
+        ) {
+            let partitionLength = blockSize >> partitionOrder;
+            let parameters = [];
+            let bits = 0;
+            sums.forEach((sum, p) => {
+                let count = partitionLength - (p === 0 ? order : 0);
+                let parameter = riceParameter(sum, count);
+                parameters.push(parameter);
+                bits += riceBits(sum, count, parameter);
+            });
+
+            // 4-bit parameters up to 14, 5-bit parameters otherwise
+            let method = Math.max(...parameters) > 14 ? 1 : 0;
+            bits += 6 + parameters.length * (method ? 5 : 4);
+            if (!best || bits < best.bits) {
+                best = { bits, method, partitionOrder, parameters, folded };
+            }
+
+            let merged = [];
+            for (let p = 0; p < sums.length; p += 2) {
+                merged.push(sums[p] + sums[p + 1]);
+            }
+            sums = merged;
+        }
+        return best;
+    }
+
+    function riceParameter(sum, count) {
+        let mean = sum / count;
+        let estimate = mean >= 1 ? Math.floor(Math.log2(mean)) : 0;
+        let parameter = 0;
+        let bits = Infinity;
+        for (
+            let k = Math.max(0, estimate - 1);
+            k <= Math.min(30, estimate + 1);
+            k++
+        ) {
+            let estimateBits = riceBits(sum, count, k);
+            if (estimateBits < bits) {
+                parameter = k;
+                bits = estimateBits;
+            }
+        }
+        return parameter;
+    }
+
+    function riceBits(sum, count, parameter) {
+        return count * (parameter + 1) + Math.floor(sum / 2 ** parameter);
+    }
+
+    function writeSubframe(writer, subframe) {
+        let samples = subframe.samples;
+        let bps = subframe.bps;
+
+        if (subframe.type === "constant") {
+            writer.writeBits(0, 8);
+            writer.writeBits(samples[0], bps);
+        } else if (subframe.type === "verbatim") {
+            writer.writeBits(1 << 1, 8);
+            for (let i = 0; i < samples.length; i++) {
+                writer.writeBits(samples[i], bps);
+            }
+        } else {
+            let rice = subframe.rice;
+            writer.writeBits((8 | subframe.order) << 1, 8);
+            // warm-up samples
+            for (let i = 0; i < subframe.order; i++) {
+                writer.writeBits(samples[i], bps);
+            }
+            writer.writeBits(rice.method, 2);
+            writer.writeBits(rice.partitionOrder, 4);
+
+            let partitionLength = samples.length >> rice.partitionOrder;
+            let offset = 0;
+            rice.parameters.forEach((parameter, p) => {
+                let end = (p + 1) * partitionLength - subframe.order;
+                writer.writeBits(parameter, rice.method ? 5 : 4);
+                for (let i = offset; i < end; i++) {
+                    let value = rice.folded[i];
+                    writer.writeUnary(Math.floor(value / 2 ** parameter));
+                    if (parameter > 0) {
+                        writer.writeBits(value, parameter);
+                    }
+                }
+                offset = end;
+            });
+        }
+    }
+
+    function dump() {
+        if (blockLength > 0) {
+            encodeFrame(blockLength);
+            blockLength = 0;
+        }
+
+        let header = new BitWriter(42);
+        // stream marker 'fLaC'
+        header.writeBits(1716281667, 32);
+        // last metadata block flag, STREAMINFO type, block length
+        header.writeBits(1, 1);
+        header.writeBits(0, 7);
+        header.writeBits(34, 24);
+        // minimum / maximum block size
+        header.writeBits(BLOCK_SIZE, 16);
+        header.writeBits(BLOCK_SIZE, 16);
+        // minimum / maximum frame size
+        header.writeBits(minFrameSize, 24);
+        header.writeBits(maxFrameSize, 24);
+        // sample rate
+        header.writeBits(SAMPLE_RATE, 20);
+        // channel count - 1
+        header.writeBits(CHANNELS - 1, 3);
+        // bits per sample - 1
+        header.writeBits(BITS_PER_SAMPLE - 1, 5);
+        // total samples (36-bit)
+        header.writeBits(Math.floor(totalSamples / 2 ** 32), 4);
+        header.writeBits(totalSamples >>> 0, 32);
+        // MD5 signature (0: unknown)
+        for (let i = 0; i < 4; i++) {
+            header.writeBits(0, 32);
+        }
+
+        let msg = [header.toUint8Array().buffer].concat(
+            frames.map((frame) => frame.buffer)
+        );
+        reset();
+        postMessage(msg, msg);
+    }
+
+    self.onmessage = function (e) {
+        if (e.data[0] === "init") {
+            init(e.data[1]);
+        } else if (e.data[0] === "encode") {
+            encode(e.data[1]);
+        } else if (e.data[0] === "dump") {
+            dump(e.data[1]);
+        } else if (e.data[0] === "close") {
+            self.close();
+        }
+    };
+};
+
+export default worker;
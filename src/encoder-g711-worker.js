@@ -0,0 +1,157 @@
+const worker = function () {
+    // ITU-T G.711 segment end points of 16-bit (μ-law) / 13-bit (A-law) input
+    let MULAW_SEGMENT_ENDS = [
+        0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff, 0x1fff, 0x3fff, 0x7fff,
+    ];
+    let ALAW_SEGMENT_ENDS = [
+        0x1f, 0x3f, 0x7f, 0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff,
+    ];
+    let MULAW_BIAS = 0x84;
+    let MULAW_CLIP = 32635;
+
+    let LAW = "mulaw";
+    let CONTAINER = "wav";
+    let CHANNELS = 1;
+    let recorded = [];
+
+    function init(config) {
+        LAW = config.law === "alaw" ? "alaw" : "mulaw";
+        CONTAINER = config.container === "raw" ? "raw" : "wav";
+        CHANNELS = config.channels || 1;
+    }
+
+    function segment(value, ends) {
+        let index = 0;
+        while (index < 8 && value > ends[index]) {
+            index++;
+        }
+        return index;
+    }
+
+    /**
+     * 16-bit linear PCM -> μ-law
+     */
+    function linearToMulaw(sample) {
+        let mask = 0xff;
+        if (sample < 0) {
+            sample = -sample;
+            mask = 0x7f;
+        }
+        sample = Math.min(sample, MULAW_CLIP) + MULAW_BIAS;
+
+        let exponent = segment(sample, MULAW_SEGMENT_ENDS);
+        let mantissa = (sample >> (exponent + 3)) & 0x0f;
+        return ((exponent << 4) | mantissa) ^ mask;
+    }
+
+    /**
+     * 16-bit linear PCM -> A-law
+     */
+    function linearToAlaw(sample) {
+        let mask = 0xd5;
+        sample >>= 3;
+        if (sample < 0) {
+            sample = -sample - 1;
+            mask = 0x55;
+        }
+
+        let exponent = segment(sample, ALAW_SEGMENT_ENDS);
+        if (exponent >= 8) {
+            return 0x7f ^ mask;
+        }
+        let mantissa =
+            exponent < 2 ? (sample >> 1) & 0x0f : (sample >> exponent) & 0x0f;
+        return ((exponent << 4) | mantissa) ^ mask;
+    }
+
+    function encode(buffers) {
+        let length = buffers[0].length;
+        let data = new Uint8Array(length * CHANNELS);
+        let compress = LAW === "alaw" ? linearToAlaw : linearToMulaw;
+        // planar -> interleaved
+        for (let i = 0; i < length; i++) {
+            for (let channel = 0; channel < CHANNELS; channel++) {
+                let sample = buffers[channel][i];
+                if (sample > 1) {
+                    sample = 1;
+                } else if (sample < -1) {
+                    sample = -1;
+                }
+                sample = Math.max(-32768, Math.min(32767, sample * 32768));
+                data[i * CHANNELS + channel] = compress(Math.round(sample));
+            }
+        }
+        recorded.push(data);
+    }
+
+    function dump(sampleRate) {
+        let length = recorded.reduce((sum, data) => sum + data.length, 0);
+        let headerLength = CONTAINER === "wav" ? 58 : 0;
+        // chunks are word aligned
+        let padLength = CONTAINER === "wav" ? length % 2 : 0;
+        let output = new Uint8Array(headerLength + length + padLength);
+
+        if (CONTAINER === "wav") {
+            let view = new DataView(output.buffer);
+
+            // RIFF identifier 'RIFF'
+            view.setUint32(0, 1380533830, false);
+            // file length minus RIFF identifier length and file description length
+            view.setUint32(4, headerLength - 8 + length + padLength, true);
+            // RIFF type 'WAVE'
+            view.setUint32(8, 1463899717, false);
+            // format chunk identifier 'fmt '
+            view.setUint32(12, 1718449184, false);
+            // format chunk length
+            view.setUint32(16, 18, true);
+            // sample format (6: A-law, 7: μ-law)
+            view.setUint16(20, LAW === "alaw" ? 6 : 7, true);
+            // channel count
+            view.setUint16(22, CHANNELS, true);
+            // sample rate
+            view.setUint32(24, sampleRate, true);
+            // byte rate (sample rate * block align)
+            view.setUint32(28, sampleRate * CHANNELS, true);
+            // block align (channel count * bytes per sample)
+            view.setUint16(32, CHANNELS, true);
+            // bits per sample
+            view.setUint16(34, 8, true);
+            // extension size
+            view.setUint16(36, 0, true);
+            // fact chunk identifier 'fact'
+            view.setUint32(38, 1717658484, false);
+            // fact chunk length
+            view.setUint32(42, 4, true);
+            // sample frame count
+            view.setUint32(46, length / CHANNELS, true);
+            // data chunk identifier 'data'
+            view.setUint32(50, 1684108385, false);
+            // data chunk length
+            view.setUint32(54, length, true);
+        }
+
+        let offset = headerLength;
+        for (let i = 0; i < recorded.length; i++) {
+            output.set(recorded[i], offset);
+            offset += recorded[i].length;
+        }
+
+        recorded = [];
+        let msg = [output.buffer];
+        postMessage(msg, [msg[0]]);
+    }
+
+    self.onmessage = function (e) {
+        if (e.data[0] === "init") {
+            init(e.data[1]);
+        } else if (e.data[0] === "encode") {
+            encode(e.data[1]);
+        } else if (e.data[0] === "dump") {
+            dump(e.data[1]);
+        } else if (e.data[0] === "close") {
+            self.close();
+        }
+    };
+};
+
+export default worker;
@@ -0,0 +1,1037 @@
+const worker = function () {
+    // sample rates of MPEG-1, MPEG-2 (LSF), MPEG-2.5
+    let SAMPLE_RATES = [
+        [44100, 48000, 32000],
+        [22050, 24000, 16000],
+        [11025, 12000, 8000],
+    ];
+    // Layer III bitrates (kbps) of MPEG-1, MPEG-2/2.5
+    let BITRATES = [
+        [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+        [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    ];
+    // long block scalefactor band boundaries
+    let SCALEFACTOR_BANDS = {
+        44100: [
+            0, 4, 8, 12, 16, 20, 24, 30, 36, 44, 52, 62, 74, 90, 110, 134, 162,
+            196, 238, 288, 342, 418, 576,
+        ],
+        48000: [
+            0, 4, 8, 12, 16, 20, 24, 30, 36, 42, 50, 60, 72, 88, 106, 128, 156,
+            190, 230, 276, 330, 384, 576,
+        ],
+        32000: [
+            0, 4, 8, 12, 16, 20, 24, 30, 36, 44, 54, 66, 82, 102, 126, 156, 194,
+            240, 296, 364, 448, 550, 576,
+        ],
+        22050: [
+            0, 6, 12, 18, 24, 30, 36, 44, 54, 66, 80, 96, 116, 140, 168, 200,
+            238, 284, 336, 396, 464, 522, 576,
+        ],
+        24000: [
+            0, 6, 12, 18, 24, 30, 36, 44, 54, 66, 80, 96, 114, 136, 162, 194,
+            232, 278, 332, 394, 464, 540, 576,
+        ],
+        16000: [
+            0, 6, 12, 18, 24, 30, 36, 44, 54, 66, 80, 96, 116, 140, 168, 200,
+            238, 284, 336, 396, 464, 522, 576,
+        ],
+        11025: [
+            0, 6, 12, 18, 24, 30, 36, 44, 54, 66, 80, 96, 116, 140, 168, 200,
+            238, 284, 336, 396, 464, 522, 576,
+        ],
+        12000: [
+            0, 6, 12, 18, 24, 30, 36, 44, 54, 66, 80, 96, 116, 140, 168, 200,
+            238, 284, 336, 396, 464, 522, 576,
+        ],
+        8000: [
+            0, 12, 24, 36, 48, 60, 72, 88, 108, 132, 160, 192, 232, 280, 336,
+            400, 476, 566, 568, 570, 572, 574, 576,
+        ],
+    };
+    // region0_count, region1_count by count of scalefactor bands in big values
+    let REGION0_COUNTS = [
+        0, 0, 0, 0, 0, 0, 1, 1, 1, 2, 2, 2, 3, 3, 3, 4, 4, 4, 5, 5, 5, 6, 6,
+    ];
+    let REGION1_COUNTS = [
+        0, 0, 0, 0, 0, 1, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5, 5, 6, 6, 6, 7, 7, 7,
+    ];
+    // polyphase analysis window C[i] (x 2^-20, ISO/IEC 11172-3 Table C.1)
+    let ANALYSIS_WINDOW = [
+        0, -0.5, -0.5, -0.5, -0.5, -0.5, -0.5, -1, -1, -1, -1, -1.5, -1.5, -2,
+        -2, -2.5, -2.5, -3, -3.5, -3.5, -4, -4.5, -5, -5.5, -6.5, -7, -8, -8.5,
+        -9.5, -10.5, -12, -13, -14.5, -15.5, -17.5, -19, -20.5, -22.5, -24.5,
+        -26.5, -29, -31.5, -34, -36.5, -39.5, -42.5, -45.5, -48.5, -52, -55.5,
+        -58.5, -62.5, -66, -69.5, -73.5, -77, -80.5, -84.5, -88, -91.5, -95,
+        -98, -101, -104, 106.5, 109, 111, 112.5, 113.5, 114, 114, 113.5, 112,
+        110.5, 107.5, 104, 100, 94.5, 88.5, 81.5, 73, 63.5, 53, 41.5, 28.5,
+        14.5, -1, -18, -36, -55.5, -76.5, -98.5, -122, -147, -173.5, -200.5,
+        -229.5, -259.5, -290.5, -322.5, -355.5, -389.5, -424, -459.5, -495.5,
+        -532, -568.5, -605, -641.5, -678, -714, -749, -783.5, -817, -849,
+        -879.5, -908.5, -935, -959.5, -981, -1000.5, -1016, -1028.5, -1037.5,
+        -1042.5, -1043.5, -1040, -1031.5, 1018.5, 1000, 976, 946.5, 911, 869.5,
+        822, 767.5, 707, 640, 565.5, 485, 397, 302.5, 201, 92.5, -22.5, -144,
+        -272.5, -407, -547.5, -694, -846, -1003, -1165, -1331.5, -1502,
+        -1675.5, -1852.5, -2031.5, -2212.5, -2394, -2576.5, -2758.5, -2939.5,
+        -3118.5, -3294.5, -3467.5, -3635.5, -3798.5, -3955, -4104.5, -4245.5,
+        -4377.5, -4499, -4609.5, -4708, -4792.5, -4863.5, -4919, -4958,
+        -4979.5, -4983, -4967.5, -4931.5, -4875, -4796, -4694.5, -4569.5,
+        -4420, -4246, -4046, -3820, -3567, 3287, 2979.5, 2644, 2280.5, 1888,
+        1467.5, 1018.5, 541, 35, -499, -1061, -1650, -2266.5, -2909, -3577,
+        -4270, -4987.5, -5727.5, -6490, -7274, -8077.5, -8899.5, -9739,
+        -10594.5, -11464.5, -12347, -13241, -14144.5, -15056, -15973.5,
+        -16895.5, -17820, -18744.5, -19668, -20588, -21503, -22410.5, -23308.5,
+        -24195, -25068.5, -25926.5, -26767, -27589, -28389, -29166.5, -29919,
+        -30644.5, -31342, -32009.5, -32645, -33247, -33814.5, -34346, -34839.5,
+        -35295, -35710, -36084.5, -36417.5, -36707.5, -36954, -37156.5, -37315,
+        -37428, -37496, 37519, 37496, 37428, 37315, 37156.5, 36954, 36707.5,
+        36417.5, 36084.5, 35710, 35295, 34839.5, 34346, 33814.5, 33247, 32645,
+        32009.5, 31342, 30644.5, 29919, 29166.5, 28389, 27589, 26767, 25926.5,
+        25068.5, 24195, 23308.5, 22410.5, 21503, 20588, 19668, 18744.5, 17820,
+        16895.5, 15973.5, 15056, 14144.5, 13241, 12347, 11464.5, 10594.5, 9739,
+        8899.5, 8077.5, 7274, 6490, 5727.5, 4987.5, 4270, 3577, 2909, 2266.5,
+        1650, 1061, 499, -35, -541, -1018.5, -1467.5, -1888, -2280.5, -2644,
+        -2979.5, 3287, 3567, 3820, 4046, 4246, 4420, 4569.5, 4694.5, 4796,
+        4875, 4931.5, 4967.5, 4983, 4979.5, 4958, 4919, 4863.5, 4792.5, 4708,
+        4609.5, 4499, 4377.5, 4245.5, 4104.5, 3955, 3798.5, 3635.5, 3467.5,
+        3294.5, 3118.5, 2939.5, 2758.5, 2576.5, 2394, 2212.5, 2031.5, 1852.5,
+        1675.5, 1502, 1331.5, 1165, 1003, 846, 694, 547.5, 407, 272.5, 144,
+        22.5, -92.5, -201, -302.5, -397, -485, -565.5, -640, -707, -767.5,
+        -822, -869.5, -911, -946.5, -976, -1000, 1018.5, 1031.5, 1040, 1043.5,
+        1042.5, 1037.5, 1028.5, 1016, 1000.5, 981, 959.5, 935, 908.5, 879.5,
+        849, 817, 783.5, 749, 714, 678, 641.5, 605, 568.5, 532, 495.5, 459.5,
+        424, 389.5, 355.5, 322.5, 290.5, 259.5, 229.5, 200.5, 173.5, 147, 122,
+        98.5, 76.5, 55.5, 36, 18, 1, -14.5, -28.5, -41.5, -53, -63.5, -73,
+        -81.5, -88.5, -94.5, -100, -104, -107.5, -110.5, -112, -113.5, -114,
+        -114, -113.5, -112.5, -111, -109, 106.5, 104, 101, 98, 95, 91.5, 88,
+        84.5, 80.5, 77, 73.5, 69.5, 66, 62.5, 58.5, 55.5, 52, 48.5, 45.5, 42.5,
+        39.5, 36.5, 34, 31.5, 29, 26.5, 24.5, 22.5, 20.5, 19, 17.5, 15.5, 14.5,
+        13, 12, 10.5, 9.5, 8.5, 8, 7, 6.5, 5.5, 5, 4.5, 4, 3.5, 3.5, 3, 2.5,
+        2.5, 2, 2, 1.5, 1.5, 1, 1, 1, 1, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5,
+    ];
+    // big values Huffman tables (ISO/IEC 11172-3 Table B.7)
+    let HUFFMAN_CODES = {
+        1: [1, 1, 1, 0],
+        2: [1, 2, 1, 3, 1, 1, 3, 2, 0],
+        3: [3, 2, 1, 1, 1, 1, 3, 2, 0],
+        5: [1, 2, 6, 5, 3, 1, 4, 4, 7, 5, 7, 1, 6, 1, 1, 0],
+        6: [7, 3, 5, 1, 6, 2, 3, 2, 5, 4, 4, 1, 3, 3, 2, 0],
+        7: [
+            1, 2, 10, 19, 16, 10, 3, 3, 7, 10, 5, 3, 11, 4, 13, 17, 8, 4, 12,
+            11, 18, 15, 11, 2, 7, 6, 9, 14, 3, 1, 6, 4, 5, 3, 2, 0,
+        ],
+        8: [
+            3, 4, 6, 18, 12, 5, 5, 1, 2, 16, 9, 3, 7, 3, 5, 14, 7, 3, 19, 17,
+            15, 13, 10, 4, 13, 5, 8, 11, 5, 1, 12, 4, 4, 1, 1, 0,
+        ],
+        9: [
+            7, 5, 9, 14, 15, 7, 6, 4, 5, 5, 6, 7, 7, 6, 8, 8, 8, 5, 15, 6, 9,
+            10, 5, 1, 11, 7, 9, 6, 4, 1, 14, 4, 6, 2, 6, 0,
+        ],
+        10: [
+            1, 2, 10, 23, 35, 30, 12, 17, 3, 3, 8, 12, 18, 21, 12, 7, 11, 9,
+            15, 21, 32, 40, 19, 6, 14, 13, 22, 34, 46, 23, 18, 7, 20, 19, 33,
+            47, 27, 22, 9, 3, 31, 22, 41, 26, 21, 20, 5, 3, 14, 13, 10, 11, 16,
+            6, 5, 1, 9, 8, 7, 8, 4, 4, 2, 0,
+        ],
+        11: [
+            3, 4, 10, 24, 34, 33, 21, 15, 5, 3, 4, 10, 32, 17, 11, 10, 11, 7,
+            13, 18, 30, 31, 20, 5, 25, 11, 19, 59, 27, 18, 12, 5, 35, 33, 31,
+            58, 30, 16, 7, 5, 28, 26, 32, 19, 17, 15, 8, 14, 14, 12, 9, 13, 14,
+            9, 4, 1, 11, 4, 6, 6, 6, 3, 2, 0,
+        ],
+        12: [
+            9, 6, 16, 33, 41, 39, 38, 26, 7, 5, 6, 9, 23, 16, 26, 11, 17, 7,
+            11, 14, 21, 30, 10, 7, 17, 10, 15, 12, 18, 28, 14, 5, 32, 13, 22,
+            19, 18, 16, 9, 5, 40, 17, 31, 29, 17, 13, 4, 2, 27, 12, 11, 15, 10,
+            7, 4, 1, 27, 12, 8, 12, 6, 3, 1, 0,
+        ],
+        13: [
+            1, 5, 14, 21, 34, 51, 46, 71, 42, 52, 68, 52, 67, 44, 43, 19, 3, 4,
+            12, 19, 31, 26, 44, 33, 31, 24, 32, 24, 31, 35, 22, 14, 15, 13, 23,
+            36, 59, 49, 77, 65, 29, 40, 30, 40, 27, 33, 42, 16, 22, 20, 37, 61,
+            56, 79, 73, 64, 43, 76, 56, 37, 26, 31, 25, 14, 35, 16, 60, 57, 97,
+            75, 114, 91, 54, 73, 55, 41, 48, 53, 23, 24, 58, 27, 50, 96, 76,
+            70, 93, 84, 77, 58, 79, 29, 74, 49, 41, 17, 47, 45, 78, 74, 115,
+            94, 90, 79, 69, 83, 71, 50, 59, 38, 36, 15, 72, 34, 56, 95, 92, 85,
+            91, 90, 86, 73, 77, 65, 51, 44, 43, 42, 43, 20, 30, 44, 55, 78, 72,
+            87, 78, 61, 46, 54, 37, 30, 20, 16, 53, 25, 41, 37, 44, 59, 54, 81,
+            66, 76, 57, 54, 37, 18, 39, 11, 35, 33, 31, 57, 42, 82, 72, 80, 47,
+            58, 55, 21, 22, 26, 38, 22, 53, 25, 23, 38, 70, 60, 51, 36, 55, 26,
+            34, 23, 27, 14, 9, 7, 34, 32, 28, 39, 49, 75, 30, 52, 48, 40, 52,
+            28, 18, 17, 9, 5, 45, 21, 34, 64, 56, 50, 49, 45, 31, 19, 12, 15,
+            10, 7, 6, 3, 48, 23, 20, 39, 36, 35, 53, 21, 16, 23, 13, 10, 6, 1,
+            4, 2, 16, 15, 17, 27, 25, 20, 29, 11, 17, 12, 16, 8, 1, 1, 0, 1,
+        ],
+        15: [
+            7, 12, 18, 53, 47, 76, 124, 108, 89, 123, 108, 119, 107, 81, 122,
+            63, 13, 5, 16, 27, 46, 36, 61, 51, 42, 70, 52, 83, 65, 41, 59, 36,
+            19, 17, 15, 24, 41, 34, 59, 48, 40, 64, 50, 78, 62, 80, 56, 33, 29,
+            28, 25, 43, 39, 63, 55, 93, 76, 59, 93, 72, 54, 75, 50, 29, 52, 22,
+            42, 40, 67, 57, 95, 79, 72, 57, 89, 69, 49, 66, 46, 27, 77, 37, 35,
+            66, 58, 52, 91, 74, 62, 48, 79, 63, 90, 62, 40, 38, 125, 32, 60,
+            56, 50, 92, 78, 65, 55, 87, 71, 51, 73, 51, 70, 30, 109, 53, 49,
+            94, 88, 75, 66, 122, 91, 73, 56, 42, 64, 44, 21, 25, 90, 43, 41,
+            77, 73, 63, 56, 92, 77, 66, 47, 67, 48, 53, 36, 20, 71, 34, 67, 60,
+            58, 49, 88, 76, 67, 106, 71, 54, 38, 39, 23, 15, 109, 53, 51, 47,
+            90, 82, 58, 57, 48, 72, 57, 41, 23, 27, 62, 9, 86, 42, 40, 37, 70,
+            64, 52, 43, 70, 55, 42, 25, 29, 18, 11, 11, 118, 68, 30, 55, 50,
+            46, 74, 65, 49, 39, 24, 16, 22, 13, 14, 7, 91, 44, 39, 38, 34, 63,
+            52, 45, 31, 52, 28, 19, 14, 8, 9, 3, 123, 60, 58, 53, 47, 43, 32,
+            22, 37, 24, 17, 12, 15, 10, 2, 1, 71, 37, 34, 30, 28, 20, 17, 26,
+            21, 16, 10, 6, 8, 6, 2, 0,
+        ],
+        16: [
+            1, 5, 14, 44, 74, 63, 110, 93, 172, 149, 138, 242, 225, 195, 376,
+            17, 3, 4, 12, 20, 35, 62, 53, 47, 83, 75, 68, 119, 201, 107, 207,
+            9, 15, 13, 23, 38, 67, 58, 103, 90, 161, 72, 127, 117, 110, 209,
+            206, 16, 45, 21, 39, 69, 64, 114, 99, 87, 158, 140, 252, 212, 199,
+            387, 365, 26, 75, 36, 68, 65, 115, 101, 179, 164, 155, 264, 246,
+            226, 395, 382, 362, 9, 66, 30, 59, 56, 102, 185, 173, 265, 142,
+            253, 232, 400, 388, 378, 445, 16, 111, 54, 52, 100, 184, 178, 160,
+            133, 257, 244, 228, 217, 385, 366, 715, 10, 98, 48, 91, 88, 165,
+            157, 148, 261, 248, 407, 397, 372, 380, 889, 884, 8, 85, 84, 81,
+            159, 156, 143, 260, 249, 427, 401, 392, 383, 727, 713, 708, 7, 154,
+            76, 73, 141, 131, 256, 245, 426, 406, 394, 384, 735, 359, 710, 352,
+            11, 139, 129, 67, 125, 247, 233, 229, 219, 393, 743, 737, 720, 885,
+            882, 439, 4, 243, 120, 118, 115, 227, 223, 396, 746, 742, 736, 721,
+            712, 706, 223, 436, 6, 202, 224, 222, 218, 216, 389, 386, 381, 364,
+            888, 443, 707, 440, 437, 1728, 4, 747, 211, 210, 208, 370, 379,
+            734, 723, 714, 1735, 883, 877, 876, 3459, 865, 2, 377, 369, 102,
+            187, 726, 722, 358, 711, 709, 866, 1734, 871, 3458, 870, 434, 0,
+            12, 10, 7, 11, 10, 17, 11, 9, 13, 12, 10, 7, 5, 3, 1, 3,
+        ],
+        24: [
+            15, 13, 46, 80, 146, 262, 248, 434, 426, 669, 653, 649, 621, 517,
+            1032, 88, 14, 12, 21, 38, 71, 130, 122, 216, 209, 198, 327, 345,
+            319, 297, 279, 42, 47, 22, 41, 74, 68, 128, 120, 221, 207, 194,
+            182, 340, 315, 295, 541, 18, 81, 39, 75, 70, 134, 125, 116, 220,
+            204, 190, 178, 325, 311, 293, 271, 16, 147, 72, 69, 135, 127, 118,
+            112, 210, 200, 188, 352, 323, 306, 285, 540, 14, 263, 66, 129, 126,
+            119, 114, 214, 202, 192, 180, 341, 317, 301, 281, 262, 12, 249,
+            123, 121, 117, 113, 215, 206, 195, 185, 347, 330, 308, 291, 272,
+            520, 10, 435, 115, 111, 109, 211, 203, 196, 187, 353, 332, 313,
+            298, 283, 531, 381, 17, 427, 212, 208, 205, 201, 193, 186, 177,
+            169, 320, 303, 286, 268, 514, 377, 16, 335, 199, 197, 191, 189,
+            181, 174, 333, 321, 305, 289, 275, 521, 379, 371, 11, 668, 184,
+            183, 179, 175, 344, 331, 314, 304, 290, 277, 530, 383, 373, 366,
+            10, 652, 346, 171, 168, 164, 318, 309, 299, 287, 276, 263, 513,
+            375, 368, 362, 6, 648, 322, 316, 312, 307, 302, 292, 284, 269, 261,
+            512, 376, 370, 364, 359, 4, 620, 300, 296, 294, 288, 282, 273, 266,
+            515, 380, 374, 369, 365, 361, 357, 2, 1033, 280, 278, 274, 267,
+            264, 259, 382, 378, 372, 367, 363, 360, 358, 356, 0, 43, 20, 19,
+            17, 15, 13, 11, 9, 7, 6, 4, 7, 5, 3, 1, 3,
+        ],
+    };
+    let HUFFMAN_LENGTHS = {
+        1: [1, 3, 2, 3],
+        2: [1, 3, 6, 3, 3, 5, 5, 5, 6],
+        3: [2, 2, 6, 3, 2, 5, 5, 5, 6],
+        5: [1, 3, 6, 7, 3, 3, 6, 7, 6, 6, 7, 8, 7, 6, 7, 8],
+        6: [3, 3, 5, 7, 3, 2, 4, 5, 4, 4, 5, 6, 6, 5, 6, 7],
+        7: [
+            1, 3, 6, 8, 8, 9, 3, 4, 6, 7, 7, 8, 6, 5, 7, 8, 8, 9, 7, 7, 8, 9, 9,
+            9, 7, 7, 8, 9, 9, 10, 8, 8, 9, 10, 10, 10,
+        ],
+        8: [
+            2, 3, 6, 8, 8, 9, 3, 2, 4, 8, 8, 8, 6, 4, 6, 8, 8, 9, 8, 8, 8, 9, 9,
+            10, 8, 7, 8, 9, 10, 10, 9, 8, 9, 9, 11, 11,
+        ],
+        9: [
+            3, 3, 5, 6, 8, 9, 3, 3, 4, 5, 6, 8, 4, 4, 5, 6, 7, 8, 6, 5, 6, 7, 7,
+            8, 7, 6, 7, 7, 8, 9, 8, 7, 8, 8, 9, 9,
+        ],
+        10: [
+            1, 3, 6, 8, 9, 9, 9, 10, 3, 4, 6, 7, 8, 9, 8, 8, 6, 6, 7, 8, 9, 10,
+            9, 9, 7, 7, 8, 9, 10, 10, 9, 10, 8, 8, 9, 10, 10, 10, 10, 10, 9, 9,
+            10, 10, 11, 11, 10, 11, 8, 8, 9, 10, 10, 10, 11, 11, 9, 8, 9, 10,
+            10, 11, 11, 11,
+        ],
+        11: [
+            2, 3, 5, 7, 8, 9, 8, 9, 3, 3, 4, 6, 8, 8, 7, 8, 5, 5, 6, 7, 8, 9, 8,
+            8, 7, 6, 7, 9, 8, 10, 8, 9, 8, 8, 8, 9, 9, 10, 9, 10, 8, 8, 9, 10,
+            10, 11, 10, 11, 8, 7, 7, 8, 9, 10, 10, 10, 8, 7, 8, 9, 10, 10, 10,
+            10,
+        ],
+        12: [
+            4, 3, 5, 7, 8, 9, 9, 9, 3, 3, 4, 5, 7, 7, 8, 8, 5, 4, 5, 6, 7, 8, 7,
+            8, 6, 5, 6, 6, 7, 8, 8, 8, 7, 6, 7, 7, 8, 8, 8, 9, 8, 7, 8, 8, 8, 9,
+            8, 9, 8, 7, 7, 8, 8, 9, 9, 10, 9, 8, 8, 9, 9, 9, 9, 10,
+        ],
+        13: [
+            1, 4, 6, 7, 8, 9, 9, 10, 9, 10, 11, 11, 12, 12, 13, 13, 3, 4, 6, 7,
+            8, 8, 9, 9, 9, 9, 10, 10, 11, 12, 12, 12, 6, 6, 7, 8, 9, 9, 10, 10,
+            9, 10, 10, 11, 11, 12, 13, 13, 7, 7, 8, 9, 9, 10, 10, 10, 10, 11,
+            11, 11, 11, 12, 13, 13, 8, 7, 9, 9, 10, 10, 11, 11, 10, 11, 11, 12,
+            12, 13, 13, 14, 9, 8, 9, 10, 10, 10, 11, 11, 11, 11, 12, 11, 13, 13,
+            14, 14, 9, 9, 10, 10, 11, 11, 11, 11, 11, 12, 12, 12, 13, 13, 14,
+            14, 10, 9, 10, 11, 11, 11, 12, 12, 12, 12, 13, 13, 13, 14, 16, 16,
+            9, 8, 9, 10, 10, 11, 11, 12, 12, 12, 12, 13, 13, 14, 15, 15, 10, 9,
+            10, 10, 11, 11, 11, 13, 12, 13, 13, 14, 14, 14, 16, 15, 10, 10, 10,
+            11, 11, 12, 12, 13, 12, 13, 14, 13, 14, 15, 16, 17, 11, 10, 10, 11,
+            12, 12, 12, 12, 13, 13, 13, 14, 15, 15, 15, 16, 11, 11, 11, 12, 12,
+            13, 12, 13, 14, 14, 15, 15, 15, 16, 16, 16, 12, 11, 12, 13, 13, 13,
+            14, 14, 14, 14, 14, 15, 16, 15, 16, 16, 13, 12, 12, 13, 13, 13, 15,
+            14, 14, 17, 15, 15, 15, 17, 16, 16, 12, 12, 13, 14, 14, 14, 15, 14,
+            15, 15, 16, 16, 19, 18, 19, 16,
+        ],
+        15: [
+            3, 4, 5, 7, 7, 8, 9, 9, 9, 10, 10, 11, 11, 11, 12, 13, 4, 3, 5, 6,
+            7, 7, 8, 8, 8, 9, 9, 10, 10, 10, 11, 11, 5, 5, 5, 6, 7, 7, 8, 8, 8,
+            9, 9, 10, 10, 11, 11, 11, 6, 6, 6, 7, 7, 8, 8, 9, 9, 9, 10, 10, 10,
+            11, 11, 11, 7, 6, 7, 7, 8, 8, 9, 9, 9, 9, 10, 10, 10, 11, 11, 11, 8,
+            7, 7, 8, 8, 8, 9, 9, 9, 9, 10, 10, 11, 11, 11, 12, 9, 7, 8, 8, 8, 9,
+            9, 9, 9, 10, 10, 10, 11, 11, 12, 12, 9, 8, 8, 9, 9, 9, 9, 10, 10,
+            10, 10, 10, 11, 11, 11, 12, 9, 8, 8, 9, 9, 9, 9, 10, 10, 10, 10, 11,
+            11, 12, 12, 12, 9, 8, 9, 9, 9, 9, 10, 10, 10, 11, 11, 11, 11, 12,
+            12, 12, 10, 9, 9, 9, 10, 10, 10, 10, 10, 11, 11, 11, 11, 12, 13, 12,
+            10, 9, 9, 9, 10, 10, 10, 10, 11, 11, 11, 11, 12, 12, 12, 13, 11, 10,
+            9, 10, 10, 10, 11, 11, 11, 11, 11, 11, 12, 12, 13, 13, 11, 10, 10,
+            10, 10, 11, 11, 11, 11, 12, 12, 12, 12, 12, 13, 13, 12, 11, 11, 11,
+            11, 11, 11, 11, 12, 12, 12, 12, 13, 13, 12, 13, 12, 11, 11, 11, 11,
+            11, 11, 12, 12, 12, 12, 12, 13, 13, 13, 13,
+        ],
+        16: [
+            1, 4, 6, 8, 9, 9, 10, 10, 11, 11, 11, 12, 12, 12, 13, 9, 3, 4, 6, 7,
+            8, 9, 9, 9, 10, 10, 10, 11, 12, 11, 12, 8, 6, 6, 7, 8, 9, 9, 10, 10,
+            11, 10, 11, 11, 11, 12, 12, 9, 8, 7, 8, 9, 9, 10, 10, 10, 11, 11,
+            12, 12, 12, 13, 13, 10, 9, 8, 9, 9, 10, 10, 11, 11, 11, 12, 12, 12,
+            13, 13, 13, 9, 9, 8, 9, 9, 10, 11, 11, 12, 11, 12, 12, 13, 13, 13,
+            14, 10, 10, 9, 9, 10, 11, 11, 11, 11, 12, 12, 12, 12, 13, 13, 14,
+            10, 10, 9, 10, 10, 11, 11, 11, 12, 12, 13, 13, 13, 13, 15, 15, 10,
+            10, 10, 10, 11, 11, 11, 12, 12, 13, 13, 13, 13, 14, 14, 14, 10, 11,
+            10, 10, 11, 11, 12, 12, 13, 13, 13, 13, 14, 13, 14, 13, 11, 11, 11,
+            10, 11, 12, 12, 12, 12, 13, 14, 14, 14, 15, 15, 14, 10, 12, 11, 11,
+            11, 12, 12, 13, 14, 14, 14, 14, 14, 14, 13, 14, 11, 12, 12, 12, 12,
+            12, 13, 13, 13, 13, 15, 14, 14, 14, 14, 16, 11, 14, 12, 12, 12, 13,
+            13, 14, 14, 14, 16, 15, 15, 15, 17, 15, 11, 13, 13, 11, 12, 14, 14,
+            13, 14, 14, 15, 16, 15, 17, 15, 14, 11, 9, 8, 8, 9, 9, 10, 10, 10,
+            11, 11, 11, 11, 11, 11, 11, 8,
+        ],
+        24: [
+            4, 4, 6, 7, 8, 9, 9, 10, 10, 11, 11, 11, 11, 11, 12, 9, 4, 4, 5, 6,
+            7, 8, 8, 9, 9, 9, 10, 10, 10, 10, 10, 8, 6, 5, 6, 7, 7, 8, 8, 9, 9,
+            9, 9, 10, 10, 10, 11, 7, 7, 6, 7, 7, 8, 8, 8, 9, 9, 9, 9, 10, 10,
+            10, 10, 7, 8, 7, 7, 8, 8, 8, 8, 9, 9, 9, 10, 10, 10, 10, 11, 7, 9,
+            7, 8, 8, 8, 8, 9, 9, 9, 9, 10, 10, 10, 10, 10, 7, 9, 8, 8, 8, 8, 9,
+            9, 9, 9, 10, 10, 10, 10, 10, 11, 7, 10, 8, 8, 8, 9, 9, 9, 9, 10, 10,
+            10, 10, 10, 11, 11, 8, 10, 9, 9, 9, 9, 9, 9, 9, 9, 10, 10, 10, 10,
+            11, 11, 8, 10, 9, 9, 9, 9, 9, 9, 10, 10, 10, 10, 10, 11, 11, 11, 8,
+            11, 9, 9, 9, 9, 10, 10, 10, 10, 10, 10, 11, 11, 11, 11, 8, 11, 10,
+            9, 9, 9, 10, 10, 10, 10, 10, 10, 11, 11, 11, 11, 8, 11, 10, 10, 10,
+            10, 10, 10, 10, 10, 10, 11, 11, 11, 11, 11, 8, 11, 10, 10, 10, 10,
+            10, 10, 10, 11, 11, 11, 11, 11, 11, 11, 8, 12, 10, 10, 10, 10, 10,
+            10, 11, 11, 11, 11, 11, 11, 11, 11, 8, 8, 7, 7, 7, 7, 7, 7, 7, 7, 7,
+            7, 8, 8, 8, 8, 4,
+        ],
+    };
+    // linbits of table 16 ~ 31
+    let LINBITS = [1, 2, 3, 4, 6, 8, 10, 13, 4, 5, 6, 7, 8, 9, 11, 13];
+    // count1 Huffman table A
+    let COUNT1_CODES = [1, 5, 4, 5, 6, 5, 4, 4, 7, 3, 6, 0, 7, 2, 3, 1];
+    let COUNT1_LENGTHS = [1, 4, 4, 5, 4, 6, 5, 6, 4, 5, 5, 6, 5, 6, 6, 6];
+    // aliasing reduction coefficients
+    let ALIAS_COEFFICIENTS = [
+        -0.6, -0.535, -0.33, -0.185, -0.095, -0.041, -0.0142, -0.0037,
+    ];
+    // largest quantized value (15 + 2^13 - 1)
+    let MAX_QUANTIZED = 8206;
+    // largest part2_3_length
+    let MAX_GRANULE_BITS = 4095;
+
+    let HUFFMAN_TABLES = [];
+    Object.keys(HUFFMAN_CODES).forEach((table) => {
+        HUFFMAN_TABLES[table] = {
+            xlen: Math.sqrt(HUFFMAN_CODES[table].length),
+            linbits: 0,
+            codes: HUFFMAN_CODES[table],
+            lengths: HUFFMAN_LENGTHS[table],
+        };
+    });
+    for (let table = 16; table < 32; table++) {
+        let base = table < 24 ? 16 : 24;
+        HUFFMAN_TABLES[table] = {
+            xlen: 16,
+            linbits: LINBITS[table - 16],
+            codes: HUFFMAN_CODES[base],
+            lengths: HUFFMAN_LENGTHS[base],
+        };
+    }
+
+    // matrixing (32 x 64), MDCT with sine window (18 x 36), quantizer steps
+    let FILTER_MATRIX = new Float64Array(32 * 64);
+    for (let k = 0; k < 32; k++) {
+        for (let i = 0; i < 64; i++) {
+            FILTER_MATRIX[k * 64 + i] = Math.cos(
+                ((2 * k + 1) * (i - 16) * Math.PI) / 64
+            );
+        }
+    }
+    let MDCT_MATRIX = new Float64Array(18 * 36);
+    for (let k = 0; k < 18; k++) {
+        for (let m = 0; m < 36; m++) {
+            MDCT_MATRIX[k * 36 + m] =
+                (Math.sin((Math.PI / 36) * (m + 0.5)) *
+                    Math.cos((Math.PI / 72) * (2 * m + 19) * (2 * k + 1))) /
+                9;
+        }
+    }
+    let ALIAS_CS = ALIAS_COEFFICIENTS.map((c) => 1 / Math.sqrt(1 + c * c));
+    let ALIAS_CA = ALIAS_COEFFICIENTS.map((c) => c / Math.sqrt(1 + c * c));
+    let QUANTIZE_STEPS = new Float64Array(256);
+    for (let gain = 0; gain < 256; gain++) {
+        QUANTIZE_STEPS[gain] = 2 ** ((-(gain - 210) * 3) / 16);
+    }
+
+    let SAMPLE_RATE = 16000;
+    let CHANNELS = 1;
+    let BITRATE = 64;
+    let VBR = false;
+    let VBR_QUALITY = 4;
+
+    // 0: MPEG-1, 1: MPEG-2, 2: MPEG-2.5
+    let version = 1;
+    let sampleRateIndex = 2;
+    let bitrateIndex = 8;
+    let granules = 1;
+    let sideInfoLength = 9;
+
+    let channelStates = [];
+    let input = [];
+    let inputLength = 0;
+    let frames = [];
+    let slotLag = 0;
+
+    class BitWriter {
+        constructor(capacity) {
+            this.bytes = new Uint8Array(capacity);
+            this.byteOffset = 0;
+            this.bitBuffer = 0;
+            this.bitCount = 0;
+        }
+
+        writeBits(value, bits) {
+            while (bits > 0) {
+                let take = Math.min(bits, 8 - this.bitCount);
+                let chunk = (value >>> (bits - take)) & ((1 << take) - 1);
+                this.bitBuffer = (this.bitBuffer << take) | chunk;
+                this.bitCount += take;
+                bits -= take;
+                if (this.bitCount === 8) {
+                    this.writeByte(this.bitBuffer);
+                    this.bitBuffer = 0;
+                    this.bitCount = 0;
+                }
+            }
+        }
+
+        writeByte(byte) {
+            if (this.byteOffset === this.bytes.length) {
+                let grown = new Uint8Array(this.bytes.length * 2);
+                grown.set(this.bytes, 0);
+                this.bytes = grown;
+            }
+            this.bytes[this.byteOffset++] = byte;
+        }
+
+        align() {
+            if (this.bitCount > 0) {
+                this.writeBits(0, 8 - this.bitCount);
+            }
+        }
+
+        toUint8Array() {
+            return this.bytes.slice(0, this.byteOffset);
+        }
+    }
+
+    function init(config) {
+        SAMPLE_RATE = config.sampleRate || SAMPLE_RATE;
+        CHANNELS = Math.min(config.channels || 1, 2);
+        BITRATE = config.bitrate || BITRATE;
+        VBR = config.bitrateMode === "vbr";
+        VBR_QUALITY =
+            config.vbrQuality !== undefined ? config.vbrQuality : VBR_QUALITY;
+
+        version = SAMPLE_RATES.findIndex((rates) =>
+            rates.includes(SAMPLE_RATE)
+        );
+        if (version < 0) {
+            throw new Error(`Unsupported MP3 sample rate: ${SAMPLE_RATE}`);
+        }
+        sampleRateIndex = SAMPLE_RATES[version].indexOf(SAMPLE_RATE);
+        granules = version === 0 ? 2 : 1;
+        if (version === 0) {
+            sideInfoLength = CHANNELS === 1 ? 17 : 32;
+        } else {
+            sideInfoLength = CHANNELS === 1 ? 9 : 17;
+        }
+
+        // closest bitrate of the table
+        let bitrates = BITRATES[version === 0 ? 0 : 1];
+        bitrateIndex = 1;
+        for (let index = 1; index < bitrates.length; index++) {
+            if (
+                Math.abs(bitrates[index] - BITRATE) <
+                Math.abs(bitrates[bitrateIndex] - BITRATE)
+            ) {
+                bitrateIndex = index;
+            }
+        }
+        reset();
+    }
+
+    function reset() {
+        channelStates = [];
+        input = [];
+        for (let channel = 0; channel < CHANNELS; channel++) {
+            channelStates.push({
+                fifo: new Float64Array(512),
+                previous: new Float64Array(576),
+            });
+            input.push(new Float64Array(576 * granules));
+        }
+        inputLength = 0;
+        frames = [];
+        slotLag = 0;
+    }
+
+    function encode(buffers) {
+        let length = buffers[0].length;
+        for (let i = 0; i < length; i++) {
+            for (let channel = 0; channel < CHANNELS; channel++) {
+                input[channel][inputLength] = buffers[channel][i];
+            }
+            if (++inputLength === input[0].length) {
+                encodeFrame();
+                inputLength = 0;
+            }
+        }
+    }
+
+    function encodeFrame() {
+        let spectra = [];
+        for (let granule = 0; granule < granules; granule++) {
+            spectra.push(
+                channelStates.map((state, channel) =>
+                    transform(state, input[channel], granule * 576)
+                )
+            );
+        }
+        frames.push(VBR ? encodeVbrFrame(spectra) : encodeCbrFrame(spectra));
+    }
+
+    /**
+     * Polyphase filterbank + MDCT of one granule
+     */
+    function transform(state, samples, offset) {
+        let subbands = new Float64Array(576);
+        let windowed = new Float64Array(64);
+        let fifo = state.fifo;
+
+        for (let t = 0; t < 18; t++) {
+            fifo.copyWithin(32, 0, 480);
+            for (let i = 0; i < 32; i++) {
+                fifo[31 - i] = samples[offset + t * 32 + i];
+            }
+            for (let i = 0; i < 64; i++) {
+                let sum = 0;
+                for (let j = i; j < 512; j += 64) {
+                    sum += ANALYSIS_WINDOW[j] * fifo[j];
+                }
+                windowed[i] = sum / 1048576;
+            }
+            for (let k = 0; k < 32; k++) {
+                let sum = 0;
+                for (let i = 0; i < 64; i++) {
+                    sum += FILTER_MATRIX[k * 64 + i] * windowed[i];
+                }
+                subbands[k * 18 + t] = sum;
+            }
+        }
+
+        // compensate the frequency inversion of odd subbands
+        for (let k = 1; k < 32; k += 2) {
+            for (let t = 1; t < 18; t += 2) {
+                subbands[k * 18 + t] = -subbands[k * 18 + t];
+            }
+        }
+
+        let spectrum = new Float64Array(576);
+        let previous = state.previous;
+        for (let k = 0; k < 32; k++) {
+            for (let line = 0; line < 18; line++) {
+                let sum = 0;
+                for (let m = 0; m < 18; m++) {
+                    sum += MDCT_MATRIX[line * 36 + m] * previous[k * 18 + m];
+                    sum +=
+                        MDCT_MATRIX[line * 36 + m + 18] * subbands[k * 18 + m];
+                }
+                spectrum[k * 18 + line] = sum;
+            }
+        }
+        state.previous = subbands;
+
+        // aliasing reduction butterflies
+        for (let k = 0; k < 31; k++) {
+            for (let i = 0; i < 8; i++) {
+                let upper = spectrum[k * 18 + 17 - i];
+                let lower = spectrum[(k + 1) * 18 + i];
+                spectrum[k * 18 + 17 - i] =
+                    upper * ALIAS_CS[i] + lower * ALIAS_CA[i];
+                spectrum[(k + 1) * 18 + i] =
+                    lower * ALIAS_CS[i] - upper * ALIAS_CA[i];
+            }
+        }
+        return spectrum;
+    }
+
+    function frameLength(index, padding) {
+        let bitrate = BITRATES[version === 0 ? 0 : 1][index];
+        let slots = version === 0 ? 144000 : 72000;
+        return Math.floor((slots * bitrate) / SAMPLE_RATE) + padding;
+    }
+
+    function mainDataBits(index, padding) {
+        return (frameLength(index, padding) - 4 - sideInfoLength) * 8;
+    }
+
+    function encodeCbrFrame(spectra) {
+        let bitrate = BITRATES[version === 0 ? 0 : 1][bitrateIndex];
+        let slots = version === 0 ? 144000 : 72000;
+        let padding = 0;
+        slotLag -= (slots * bitrate) % SAMPLE_RATE;
+        if (slotLag < 0) {
+            slotLag += SAMPLE_RATE;
+            padding = 1;
+        }
+        let granuleInfos = allocate(
+            spectra,
+            mainDataBits(bitrateIndex, padding),
+            0
+        );
+        return writeFrame(bitrateIndex, padding, granuleInfos);
+    }
+
+    function encodeVbrFrame(spectra) {
+        // fixed quantizer step of the quality (3 dB per level, 0: best)
+        let minGain = 150 + VBR_QUALITY * 2;
+        let granuleInfos = spectra.map((channels) =>
+            channels.map((spectrum) =>
+                quantizeGranule(spectrum, MAX_GRANULE_BITS, minGain)
+            )
+        );
+        let bits = 0;
+        granuleInfos.forEach((channels) =>
+            channels.forEach((info) => (bits += info.bits))
+        );
+
+        // smallest bitrate holding the frame
+        let index = 1;
+        while (index < 14 && mainDataBits(index, 0) < bits) {
+            index++;
+        }
+        if (mainDataBits(index, 0) < bits) {
+            granuleInfos = allocate(spectra, mainDataBits(index, 0), minGain);
+        }
+        return writeFrame(index, 0, granuleInfos);
+    }
+
+    /**
+     * Distribute frame bits over granules / channels
+     */
+    function allocate(spectra, availableBits, minGain) {
+        let units = granules * CHANNELS;
+        return spectra.map((channels) =>
+            channels.map((spectrum) => {
+                let maxBits = Math.min(
+                    MAX_GRANULE_BITS,
+                    Math.floor(availableBits / units)
+                );
+                let info = quantizeGranule(spectrum, maxBits, minGain);
+                availableBits -= info.bits;
+                units--;
+                return info;
+            })
+        );
+    }
+
+    /**
+     * Smallest global gain fitting in maxBits
+     */
+    function quantizeGranule(spectrum, maxBits, minGain) {
+        let xr34 = new Float64Array(576);
+        for (let i = 0; i < 576; i++) {
+            xr34[i] = Math.abs(spectrum[i]) ** 0.75;
+        }
+        let ix = new Int32Array(576);
+
+        let low = minGain;
+        let high = 255;
+        while (low < high) {
+            let gain = (low + high) >> 1;
+            if (
+                quantize(xr34, gain, ix) &&
+                analyzeGranule(ix).bits <= maxBits
+            ) {
+                high = gain;
+            } else {
+                low = gain + 1;
+            }
+        }
+        quantize(xr34, low, ix);
+
+        let info = analyzeGranule(ix);
+        info.gain = low;
+        info.ix = ix;
+        info.signs = spectrum;
+        return info;
+    }
+
+    function quantize(xr34, gain, ix) {
+        let step = QUANTIZE_STEPS[gain];
+        for (let i = 0; i < 576; i++) {
+            // nint(x - 0.0946)
+            let value = Math.floor(xr34[i] * step + 0.4054);
+            if (value > MAX_QUANTIZED) {
+                return false;
+            }
+            ix[i] = value;
+        }
+        return true;
+    }
+
+    /**
+     * Region partition, table select and bit count of quantized values
+     */
+    function analyzeGranule(ix) {
+        // rzero region
+        let count1End = 576;
+        while (
+            count1End > 1 &&
+            ix[count1End - 1] === 0 &&
+            ix[count1End - 2] === 0
+        ) {
+            count1End -= 2;
+        }
+        // count1 region (quadruples of 0 or 1)
+        let bigValuesEnd = count1End;
+        while (
+            bigValuesEnd > 3 &&
+            ix[bigValuesEnd - 1] <= 1 &&
+            ix[bigValuesEnd - 2] <= 1 &&
+            ix[bigValuesEnd - 3] <= 1 &&
+            ix[bigValuesEnd - 4] <= 1
+        ) {
+            bigValuesEnd -= 4;
+        }
+
+        // big values regions on scalefactor band boundaries
+        let bands = SCALEFACTOR_BANDS[SAMPLE_RATE];
+        let bandCount = 0;
+        while (bands[bandCount] < bigValuesEnd) {
+            bandCount++;
+        }
+        let region0 = REGION0_COUNTS[bandCount];
+        while (region0 > 0 && bands[region0 + 1] > bigValuesEnd) {
+            region0--;
+        }
+        let region1 = REGION1_COUNTS[bandCount];
+        while (region1 > 0 && bands[region0 + region1 + 2] > bigValuesEnd) {
+            region1--;
+        }
+        let addresses = [
+            Math.min(bands[region0 + 1], bigValuesEnd),
+            Math.min(bands[region0 + region1 + 2], bigValuesEnd),
+            bigValuesEnd,
+        ];
+
+        let bits = 0;
+        let tables = [];
+        let start = 0;
+        addresses.forEach((end) => {
+            let [table, tableBits] = chooseTable(ix, start, end);
+            tables.push(table);
+            bits += tableBits;
+            start = end;
+        });
+
+        // count1 table A / B
+        let count1Bits = [0, 0];
+        for (let i = bigValuesEnd; i < count1End; i += 4) {
+            let index = ix[i] * 8 + ix[i + 1] * 4 + ix[i + 2] * 2 + ix[i + 3];
+            let signs = ix[i] + ix[i + 1] + ix[i + 2] + ix[i + 3];
+            count1Bits[0] += COUNT1_LENGTHS[index] + signs;
+            count1Bits[1] += 4 + signs;
+        }
+        let count1Table = count1Bits[1] < count1Bits[0] ? 1 : 0;
+        bits += count1Bits[count1Table];
+
+        return {
+            bits,
+            bigValues: bigValuesEnd / 2,
+            count1End,
+            addresses,
+            tables,
+            region0,
+            region1,
+            count1Table,
+        };
+    }
+
+    function chooseTable(ix, start, end) {
+        let max = 0;
+        for (let i = start; i < end; i++) {
+            max = Math.max(max, ix[i]);
+        }
+        if (max === 0) {
+            return [0, 0];
+        }
+
+        let candidates;
+        if (max <= 1) {
+            candidates = [1];
+        } else if (max <= 2) {
+            candidates = [2, 3];
+        } else if (max <= 3) {
+            candidates = [5, 6];
+        } else if (max <= 5) {
+            candidates = [7, 8, 9];
+        } else if (max <= 7) {
+            candidates = [10, 11, 12];
+        } else if (max <= 15) {
+            candidates = [13, 15];
+        } else {
+            candidates = [16, 24].map((base) => {
+                let table = base;
+                while (max - 15 >= 2 ** HUFFMAN_TABLES[table].linbits) {
+                    table++;
+                }
+                return table;
+            });
+        }
+
+        let best = [0, Infinity];
+        candidates.forEach((table) => {
+            let bits = regionBits(ix, start, end, table);
+            if (bits < best[1]) {
+                best = [table, bits];
+            }
+        });
+        return best;
+    }
+
+    function regionBits(ix, start, end, table) {
+        let huffman = HUFFMAN_TABLES[table];
+        let bits = 0;
+        for (let i = start; i < end; i += 2) {
+            let x = ix[i];
+            let y = ix[i + 1];
+            if (x >= 15 && huffman.linbits) {
+                bits += huffman.linbits;
+                x = 15;
+            }
+            if (y >= 15 && huffman.linbits) {
+                bits += huffman.linbits;
+                y = 15;
+            }
+            bits += huffman.lengths[x * huffman.xlen + y];
+            if (x) {
+                bits++;
+            }
+            if (y) {
+                bits++;
+            }
+        }
+        return bits;
+    }
+
+    function writeFrame(index, padding, granuleInfos) {
+        let length = frameLength(index, padding);
+        let writer = new BitWriter(length);
+
+        writeHeader(writer, index, padding);
+
+        // side info
+        writer.writeBits(0, version === 0 ? 9 : 8);
+        if (version === 0) {
+            writer.writeBits(0, CHANNELS === 1 ? 5 : 3);
+            // scfsi
+            writer.writeBits(0, 4 * CHANNELS);
+        } else {
+            writer.writeBits(0, CHANNELS === 1 ? 1 : 2);
+        }
+        granuleInfos.forEach((channels) =>
+            channels.forEach((info) => {
+                writer.writeBits(info.bits, 12);
+                writer.writeBits(info.bigValues, 9);
+                writer.writeBits(info.gain, 8);
+                // scalefac_compress
+                writer.writeBits(0, version === 0 ? 4 : 9);
+                // window_switching_flag
+                writer.writeBits(0, 1);
+                info.tables.forEach((table) => writer.writeBits(table, 5));
+                writer.writeBits(info.region0, 4);
+                writer.writeBits(info.region1, 3);
+                if (version === 0) {
+                    // preflag
+                    writer.writeBits(0, 1);
+                }
+                // scalefac_scale
+                writer.writeBits(0, 1);
+                writer.writeBits(info.count1Table, 1);
+            })
+        );
+
+        // main data
+        granuleInfos.forEach((channels) =>
+            channels.forEach((info) => writeGranule(writer, info))
+        );
+        writer.align();
+
+        let frame = new Uint8Array(length);
+        frame.set(writer.toUint8Array(), 0);
+        return frame;
+    }
+
+    function writeHeader(writer, index, padding) {
+        // sync word
+        writer.writeBits(0x7ff, 11);
+        // version (11: MPEG-1, 10: MPEG-2, 00: MPEG-2.5)
+        writer.writeBits([3, 2, 0][version], 2);
+        // layer III
+        writer.writeBits(1, 2);
+        // no CRC
+        writer.writeBits(1, 1);
+        writer.writeBits(index, 4);
+        writer.writeBits(sampleRateIndex, 2);
+        writer.writeBits(padding, 1);
+        // private bit
+        writer.writeBits(0, 1);
+        // mode (00: stereo, 11: mono), mode extension
+        writer.writeBits(CHANNELS === 1 ? 3 : 0, 2);
+        writer.writeBits(0, 2);
+        // copyright, original, emphasis
+        writer.writeBits(0, 1);
+        writer.writeBits(1, 1);
+        writer.writeBits(0, 2);
+    }
+
+    function writeGranule(writer, info) {
+        let ix = info.ix;
+        let signs = info.signs;
+
+        let start = 0;
+        info.addresses.forEach((end, region) => {
+            let huffman = HUFFMAN_TABLES[info.tables[region]];
+            for (let i = start; i < end && huffman; i += 2) {
+                let x = ix[i];
+                let y = ix[i + 1];
+                let index =
+                    Math.min(x, huffman.linbits ? 15 : x) * huffman.xlen +
+                    Math.min(y, huffman.linbits ? 15 : y);
+                writer.writeBits(huffman.codes[index], huffman.lengths[index]);
+                if (huffman.linbits && x >= 15) {
+                    writer.writeBits(x - 15, huffman.linbits);
+                }
+                if (x) {
+                    writer.writeBits(signs[i] < 0 ? 1 : 0, 1);
+                }
+                if (huffman.linbits && y >= 15) {
+                    writer.writeBits(y - 15, huffman.linbits);
+                }
+                if (y) {
+                    writer.writeBits(signs[i + 1] < 0 ? 1 : 0, 1);
+                }
+            }
+            start = end;
+        });
+
+        for (let i = info.bigValues * 2; i < info.count1End; i += 4) {
+            let index = ix[i] * 8 + ix[i + 1] * 4 + ix[i + 2] * 2 + ix[i + 3];
+            if (info.count1Table) {
+                writer.writeBits(15 - index, 4);
+            } else {
+                writer.writeBits(COUNT1_CODES[index], COUNT1_LENGTHS[index]);
+            }
+            for (let j = i; j < i + 4; j++) {
+                if (ix[j]) {
+                    writer.writeBits(signs[j] < 0 ? 1 : 0, 1);
+                }
+            }
+        }
+    }
+
+    /**
+     * VBR header frame (Xing) with frame count, byte count and seek table
+     */
+    function createXingFrame() {
+        let index = 1;
+        while (frameLength(index, 0) < 4 + sideInfoLength + 120) {
+            index++;
+        }
+        let length = frameLength(index, 0);
+        let writer = new BitWriter(length);
+        writeHeader(writer, index, 0);
+        for (let i = 0; i < sideInfoLength; i++) {
+            writer.writeBits(0, 8);
+        }
+
+        let totalBytes = length;
+        let offsets = [];
+        frames.forEach((frame) => {
+            offsets.push(totalBytes);
+            totalBytes += frame.length;
+        });
+
+        // 'Xing', flags (frames | bytes | TOC)
+        writer.writeBits(1483304551, 32);
+        writer.writeBits(7, 32);
+        writer.writeBits(frames.length, 32);
+        writer.writeBits(totalBytes, 32);
+        for (let i = 0; i < 100; i++) {
+            let offset = offsets[Math.floor((i * frames.length) / 100)] || 0;
+            let position = Math.floor((offset / totalBytes) * 256);
+            writer.writeBits(Math.min(255, position), 8);
+        }
+
+        let frame = new Uint8Array(length);
+        frame.set(writer.toUint8Array(), 0);
+        return frame;
+    }
+
+    function dump() {
+        if (inputLength > 0 || frames.length > 0) {
+            // flush the filterbank / MDCT delay and the last partial frame
+            let silence = [];
+            for (let channel = 0; channel < CHANNELS; channel++) {
+                silence.push(new Float32Array(1152));
+            }
+            encode(silence);
+            if (inputLength > 0) {
+                input.forEach((samples) => samples.fill(0, inputLength));
+                encodeFrame();
+            }
+        }
+
+        let msg = (VBR && frames.length ? [createXingFrame()] : [])
+            .concat(frames)
+            .map((frame) => frame.buffer);
+        reset();
+        postMessage(msg, msg);
+    }
+
+    self.onmessage = function (e) {
+        if (e.data[0] === "init") {
+            init(e.data[1]);
+        } else if (e.data[0] === "encode") {
+            encode(e.data[1]);
+        } else if (e.data[0] === "dump") {
+            dump(e.data[1]);
+        } else if (e.data[0] === "close") {
+            self.close();
+        }
+    };
+};
+
+export default worker;
@@ -0,0 +1,363 @@
+const worker = function () {
+    // opus_defines.h
+    let OPUS_APPLICATION_AUDIO = 2049;
+    let OPUS_SET_BITRATE_REQUEST = 4002;
+    let OPUS_GET_LOOKAHEAD_REQUEST = 4027;
+    let OPUS_RESET_STATE = 4028;
+    // recommended largest packet size
+    let MAX_PACKET_BYTES = 4000;
+    // Ogg granule positions are always counted at 48 kHz
+    let GRANULE_RATE = 48000;
+    // fixed stream serial number, so every browser writes the same file
+    let SERIAL_NUMBER = 1869641829;
+    let VENDOR = "RecorderService";
+
+    let SAMPLE_RATE = 16000;
+    let CHANNELS = 1;
+    let BITRATE = 32;
+    // 20 ms frame
+    let FRAME_SIZE = 320;
+
+    let opus = null;
+    let memory = null;
+    let encoder = 0;
+    let pcmPointer = 0;
+    let packetPointer = 0;
+    let controlPointer = 0;
+    let preSkip = 0;
+
+    let frame = null;
+    let frameLength = 0;
+    let sampleCount = 0;
+    let packets = [];
+
+    let CRC_TABLE = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 24;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+        }
+        CRC_TABLE[i] = crc >>> 0;
+    }
+
+    /**
+     * Synchronously load the bundled libopus WASM build
+     * (src/libopus-encoder.wasm, scripts/fetch-libopus-wasm.sh)
+     * exporting memory, opus_encoder_create, opus_encoder_ctl,
+     * opus_encode_float, opus_encoder_destroy, malloc and free
+     */
+    function loadWasm(url) {
+        let request = new XMLHttpRequest();
+        request.open("GET", url, false);
+        request.responseType = "arraybuffer";
+        request.send();
+        if (request.status !== 200 && request.status !== 0) {
+            throw new Error(`Failed to load Opus WASM: ${url}`);
+        }
+
+        let module = new WebAssembly.Module(request.response);
+        // every import of the bundled build, anything else is a different build
+        let runtime = {
+            env: {
+                emscripten_memcpy_big(dest, src, num) {
+                    let heap = new Uint8Array(memory.buffer);
+                    heap.copyWithin(dest, src, src + num);
+                    return dest;
+                },
+                emscripten_resize_heap(size) {
+                    let pages = Math.ceil(
+                        (size - memory.buffer.byteLength) / 65536
+                    );
+                    try {
+                        memory.grow(pages);
+                        return 1;
+                    } catch (e) {
+                        return 0;
+                    }
+                },
+                abort() {
+                    throw new Error("Opus WASM aborted");
+                },
+                // high 32 bits of i64 results, only used by dynCall_jiji
+                setTempRet0() {},
+            },
+            // stdio, only reached by libopus assertions before abort()
+            wasi_snapshot_preview1: {
+                fd_write(fd, iov, iovcnt) {
+                    let view = new DataView(memory.buffer);
+                    let text = "";
+                    for (let i = 0; i < iovcnt; i++) {
+                        let pointer = view.getUint32(iov + i * 8, true);
+                        let length = view.getUint32(iov + i * 8 + 4, true);
+                        text += new TextDecoder().decode(
+                            new Uint8Array(memory.buffer, pointer, length)
+                        );
+                    }
+                    // surfaces as the worker's error event instead of a console line
+                    throw new Error(`Opus WASM: ${text.trim()}`);
+                },
+                fd_close() {
+                    return 0;
+                },
+                fd_seek() {
+                    // ESPIPE, stdio is not seekable
+                    return 70;
+                },
+            },
+        };
+        let imports = {};
+        WebAssembly.Module.imports(module).forEach((entry) => {
+            let fn = runtime[entry.module] && runtime[entry.module][entry.name];
+            if (entry.kind !== "function" || typeof fn !== "function") {
+                throw new Error(
+                    `Unsupported Opus WASM import: ${entry.module}.${entry.name} (${entry.kind})`
+                );
+            }
+            imports[entry.module] = imports[entry.module] || {};
+            imports[entry.module][entry.name] = fn;
+        });
+
+        let instance = new WebAssembly.Instance(module, imports);
+        opus = instance.exports;
+        memory = opus.memory;
+        if (opus.__wasm_call_ctors) {
+            opus.__wasm_call_ctors();
+        }
+    }
+
+    function init(config) {
+        SAMPLE_RATE = config.sampleRate || SAMPLE_RATE;
+        CHANNELS = Math.min(config.channels || 1, 2);
+        BITRATE = config.bitrate || BITRATE;
+        FRAME_SIZE = SAMPLE_RATE / 50;
+
+        if (!opus) {
+            loadWasm(config.wasmUrl);
+        }
+        if (encoder) {
+            opus.opus_encoder_destroy(encoder);
+            opus.free(pcmPointer);
+            opus.free(packetPointer);
+            opus.free(controlPointer);
+        }
+
+        // control argument (varargs) and result
+        controlPointer = opus.malloc(8);
+        encoder = opus.opus_encoder_create(
+            SAMPLE_RATE,
+            CHANNELS,
+            OPUS_APPLICATION_AUDIO,
+            controlPointer
+        );
+        let heap = new Int32Array(memory.buffer);
+        if (heap[controlPointer >> 2] !== 0) {
+            throw new Error(
+                `Failed to create Opus encoder: ${heap[controlPointer >> 2]}`
+            );
+        }
+
+        heap[controlPointer >> 2] = BITRATE * 1000;
+        opus.opus_encoder_ctl(
+            encoder,
+            OPUS_SET_BITRATE_REQUEST,
+            controlPointer
+        );
+
+        // lookahead -> pre-skip at 48 kHz
+        heap = new Int32Array(memory.buffer);
+        heap[controlPointer >> 2] = controlPointer + 4;
+        opus.opus_encoder_ctl(
+            encoder,
+            OPUS_GET_LOOKAHEAD_REQUEST,
+            controlPointer
+        );
+        heap = new Int32Array(memory.buffer);
+        let lookahead = heap[(controlPointer + 4) >> 2];
+        preSkip = (lookahead * GRANULE_RATE) / SAMPLE_RATE;
+
+        pcmPointer = opus.malloc(FRAME_SIZE * CHANNELS * 4);
+        packetPointer = opus.malloc(MAX_PACKET_BYTES);
+        reset();
+    }
+
+    function reset() {
+        // start the next take from a fresh encoder state
+        opus.opus_encoder_ctl(encoder, OPUS_RESET_STATE, controlPointer);
+        frame = new Float32Array(FRAME_SIZE * CHANNELS);
+        frameLength = 0;
+        sampleCount = 0;
+        packets = [];
+    }
+
+    function encode(buffers) {
+        let length = buffers[0].length;
+        for (let i = 0; i < length; i++) {
+            // planar -> interleaved
+            for (let channel = 0; channel < CHANNELS; channel++) {
+                frame[frameLength * CHANNELS + channel] = buffers[channel][i];
+            }
+            if (++frameLength === FRAME_SIZE) {
+                encodeFrame();
+            }
+        }
+        sampleCount += length;
+    }
+
+    function encodeFrame() {
+        new Float32Array(memory.buffer).set(frame, pcmPointer >> 2);
+        let length = opus.opus_encode_float(
+            encoder,
+            pcmPointer,
+            FRAME_SIZE,
+            packetPointer,
+            MAX_PACKET_BYTES
+        );
+        if (length < 0) {
+            throw new Error(`Failed to encode Opus frame: ${length}`);
+        }
+        packets.push(
+            new Uint8Array(memory.buffer, packetPointer, length).slice()
+        );
+        frame.fill(0);
+        frameLength = 0;
+    }
+
+    function crc32(data) {
+        let crc = 0;
+        for (let i = 0; i < data.length; i++) {
+            crc = (crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ data[i]) & 0xff];
+        }
+        return crc >>> 0;
+    }
+
+    /**
+     * Ogg page
+     * @param {Array<Uint8Array>} segments packets ending on this page
+     * @param {Number} granulePosition
+     * @param {Number} sequence page sequence number
+     * @param {Number} flags 0x02: beginning of stream, 0x04: end of stream
+     */
+    function createPage(segments, granulePosition, sequence, flags) {
+        let lacing = [];
+        segments.forEach((segment) => {
+            for (let i = 0; i < Math.floor(segment.length / 255); i++) {
+                lacing.push(255);
+            }
+            lacing.push(segment.length % 255);
+        });
+        let bodyLength = segments.reduce((sum, segment) => {
+            return sum + segment.length;
+        }, 0);
+
+        let page = new Uint8Array(27 + lacing.length + bodyLength);
+        let view = new DataView(page.buffer);
+        // capture pattern 'OggS'
+        view.setUint32(0, 1332176723, false);
+        // stream structure version
+        page[4] = 0;
+        page[5] = flags;
+        // granule position (64-bit)
+        view.setUint32(6, granulePosition % 4294967296, true);
+        view.setUint32(10, Math.floor(granulePosition / 4294967296), true);
+        view.setUint32(14, SERIAL_NUMBER, true);
+        view.setUint32(18, sequence, true);
+        // checksum, computed with this field cleared
+        view.setUint32(22, 0, true);
+        page[26] = lacing.length;
+        page.set(lacing, 27);
+
+        let offset = 27 + lacing.length;
+        segments.forEach((segment) => {
+            page.set(segment, offset);
+            offset += segment.length;
+        });
+        view.setUint32(22, crc32(page), true);
+        return page;
+    }
+
+    function createHeaderPackets() {
+        let head = new Uint8Array(19);
+        let view = new DataView(head.buffer);
+        // 'OpusHead'
+        head.set([79, 112, 117, 115, 72, 101, 97, 100], 0);
+        // version
+        head[8] = 1;
+        head[9] = CHANNELS;
+        view.setUint16(10, preSkip, true);
+        // original input sample rate
+        view.setUint32(12, SAMPLE_RATE, true);
+        // output gain
+        view.setInt16(16, 0, true);
+        // channel mapping family (0: mono / stereo)
+        head[18] = 0;
+
+        let vendor = new TextEncoder().encode(VENDOR);
+        let tags = new Uint8Array(16 + vendor.length);
+        view = new DataView(tags.buffer);
+        // 'OpusTags'
+        tags.set([79, 112, 117, 115, 84, 97, 103, 115], 0);
+        view.setUint32(8, vendor.length, true);
+        tags.set(vendor, 12);
+        // user comment list length
+        view.setUint32(12 + vendor.length, 0, true);
+
+        return [head, tags];
+    }
+
+    function dump() {
+        // flush the encoder lookahead and the last partial frame
+        let lookahead = (preSkip * SAMPLE_RATE) / GRANULE_RATE;
+        let encodedLength = packets.length * FRAME_SIZE + frameLength;
+        while (encodedLength < sampleCount + lookahead || frameLength > 0) {
+            encodedLength += FRAME_SIZE - frameLength;
+            encodeFrame();
+        }
+
+        let [head, tags] = createHeaderPackets();
+        let pages = [
+            createPage([head], 0, 0, 0x02),
+            createPage([tags], 0, 1, 0),
+        ];
+
+        // last granule position trims the padding of the final frame
+        let endPosition =
+            preSkip + Math.round((sampleCount * GRANULE_RATE) / SAMPLE_RATE);
+        let packetDuration = (FRAME_SIZE * GRANULE_RATE) / SAMPLE_RATE;
+        let segments = [];
+        let lacingLength = 0;
+        packets.forEach((packet, index) => {
+            let lacing = Math.floor(packet.length / 255) + 1;
+            if (lacingLength + lacing > 255) {
+                let position = index * packetDuration;
+                pages.push(createPage(segments, position, pages.length, 0));
+                segments = [];
+                lacingLength = 0;
+            }
+            segments.push(packet);
+            lacingLength += lacing;
+        });
+        pages.push(createPage(segments, endPosition, pages.length, 0x04));
+
+        reset();
+        let msg = pages.map((page) => page.buffer);
+        postMessage(msg, msg);
+    }
+
+    self.onmessage = function (e) {
+        if (e.data[0] === "init") {
+            init(e.data[1]);
+        } else if (e.data[0] === "encode") {
+            encode(e.data[1]);
+        } else if (e.data[0] === "dump") {
+            dump(e.data[1]);
+        } else if (e.data[0] === "close") {
+            if (encoder) {
+                opus.opus_encoder_destroy(encoder);
+                encoder = 0;
+            }
+            self.close();
+        }
+    };
+};
+
+export default worker;
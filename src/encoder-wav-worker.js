@@ -1,73 +1,379 @@
 const worker = function () {
+    let BITS_PER_SAMPLE = 16;
     let BYTES_PER_SAMPLE = 2;
+    let SAMPLE_FORMAT = "int";
+    let CHANNELS = 1;
+    // wav: RIFF/WAVE, raw: headerless little-endian PCM
+    let CONTAINER = "wav";
+    let FORCE_RF64 = false;
+    let SAMPLE_RATE = 16000;
+    // sample frames per timeslice (0: only on dump)
+    let TIMESLICE_LENGTH = 0;
+    // none | tpdf | shaped (TPDF dither + first order noise shaping)
+    let DITHER = "none";
     let recorded = [];
+    // total bytes of recorded data (buffers may differ in length)
+    let recordedLength = 0;
+    // per channel quantization error, fed back by noise shaping
+    let errors = [];
+    // recorded buffers / sample frames already posted as timeslices
+    let slicedCount = 0;
+    let slicedLength = 0;
 
-    function encode(buffer) {
-        let length = buffer.length;
-        let data = new Uint8Array(length * BYTES_PER_SAMPLE);
+    function init(config) {
+        SAMPLE_FORMAT = config.sampleFormat === "float" ? "float" : "int";
+        CONTAINER = config.container === "raw" ? "raw" : "wav";
+        FORCE_RF64 = !!config.forceRf64;
+        SAMPLE_RATE = config.sampleRate || SAMPLE_RATE;
+        TIMESLICE_LENGTH = Math.round(
+            (SAMPLE_RATE * (config.timeslice || 0)) / 1000
+        );
+        // IEEE float is always 32-bit
+        BITS_PER_SAMPLE =
+            SAMPLE_FORMAT === "float" ? 32 : config.bitDepth || 16;
+        BYTES_PER_SAMPLE = BITS_PER_SAMPLE / 8;
+        CHANNELS = config.channels || 1;
+        DITHER = ["tpdf", "shaped"].includes(config.dither)
+            ? config.dither
+            : "none";
+        errors = new Array(CHANNELS).fill(0);
+    }
+
+    /**
+     * [-1, 1] float -> signed integer, scaled symmetrically (1.0 -> max)
+     */
+    function quantize(sample, channel) {
+        let max = 2 ** (BITS_PER_SAMPLE - 1) - 1;
+        let value = sample * max;
+        if (DITHER === "shaped") {
+            value -= errors[channel];
+        }
+        let quantized = value;
+        if (DITHER !== "none") {
+            // triangular noise, +-1 LSB
+            quantized += Math.random() - Math.random();
+        }
+        // round half away from zero, same for both signs
+        quantized = Math.sign(quantized) * Math.round(Math.abs(quantized));
+        quantized = Math.max(-max - 1, Math.min(max, quantized));
+        if (DITHER === "shaped") {
+            errors[channel] = quantized - value;
+        }
+        return quantized;
+    }
+
+    function encode(buffers) {
+        let length = buffers[0].length;
+        let blockAlign = CHANNELS * BYTES_PER_SAMPLE;
+        let data = new Uint8Array(length * blockAlign);
+        let view = new DataView(data.buffer);
+        // planar -> interleaved
         for (let i = 0; i < length; i++) {
-            let index = i * BYTES_PER_SAMPLE;
-            let sample = buffer[i];
-            if (sample > 1) {
-                sample = 1;
-            } else if (sample < -1) {
-                sample = -1;
+            for (let channel = 0; channel < CHANNELS; channel++) {
+                let index = i * blockAlign + channel * BYTES_PER_SAMPLE;
+                let sample = buffers[channel][i];
+                if (SAMPLE_FORMAT === "float") {
+                    view.setFloat32(index, sample, true);
+                    continue;
+                }
+                if (sample > 1) {
+                    sample = 1;
+                } else if (sample < -1) {
+                    sample = -1;
+                }
+                sample = quantize(sample, channel);
+                for (let byte = 0; byte < BYTES_PER_SAMPLE; byte++) {
+                    data[index + byte] = sample >> (byte * 8);
+                }
             }
-            sample = sample * 32768;
-            data[index] = sample;
-            data[index + 1] = sample >> 8;
         }
         recorded.push(data);
+        recordedLength += data.length;
+
+        slicedLength += length;
+        if (TIMESLICE_LENGTH && slicedLength >= TIMESLICE_LENGTH) {
+            postTimeslice();
+        }
     }
 
-    function dump(sampleRate) {
-        let bufferLength = recorded.length ? recorded[0].length : 0;
-        let length = recorded.length * bufferLength;
-        let wav = new Uint8Array(44 + length);
+    function textBytes(text) {
+        return new TextEncoder().encode(text || "");
+    }
+
+    /**
+     * RIFF chunk (identifier, length, body and word align padding)
+     */
+    function createChunk(id, body) {
+        let chunk = new Uint8Array(8 + body.length + (body.length % 2));
+        let view = new DataView(chunk.buffer);
+        chunk.set(textBytes(id), 0);
+        view.setUint32(4, body.length, true);
+        chunk.set(body, 8);
+        return chunk;
+    }
 
-        let view = new DataView(wav.buffer);
+    function concatBytes(arrays) {
+        let length = arrays.reduce((sum, array) => sum + array.length, 0);
+        let bytes = new Uint8Array(length);
+        let offset = 0;
+        arrays.forEach((array) => {
+            bytes.set(array, offset);
+            offset += array.length;
+        });
+        return bytes;
+    }
+
+    /**
+     * LIST/INFO, Broadcast Wave 'bext', 'cue ' and LIST/adtl chunks
+     */
+    function createMetadataChunks(metadata, sampleRate) {
+        let chunks = [];
+        let date = metadata.originationDate
+            ? new Date(metadata.originationDate)
+            : null;
+        let pad = (value, length) => String(value).padStart(length, "0");
+        let dateText = date
+            ? `${date.getFullYear()}-${pad(date.getMonth() + 1, 2)}-` +
+              pad(date.getDate(), 2)
+            : "";
+        let timeText = date
+            ? `${pad(date.getHours(), 2)}:${pad(date.getMinutes(), 2)}:` +
+              pad(date.getSeconds(), 2)
+            : "";
+
+        // Broadcast Wave Format (EBU Tech 3285) version 1
+        if (date) {
+            let bext = new Uint8Array(602);
+            let view = new DataView(bext.buffer);
+            // description, originator, originator reference (ASCII)
+            bext.set(textBytes(metadata.comment).subarray(0, 256), 0);
+            bext.set(textBytes(metadata.software).subarray(0, 32), 256);
+            bext.set(textBytes(metadata.reference).subarray(0, 32), 288);
+            // origination date 'yyyy-mm-dd', time 'hh:mm:ss'
+            bext.set(textBytes(dateText), 320);
+            bext.set(textBytes(timeText), 330);
+            // time reference (sample count since midnight, 64-bit)
+            let timeReference =
+                metadata.timeReference !== undefined
+                    ? metadata.timeReference
+                    : Math.round(
+                          (date.getHours() * 3600 +
+                              date.getMinutes() * 60 +
+                              date.getSeconds() +
+                              date.getMilliseconds() / 1000) *
+                              sampleRate
+                      );
+            view.setUint32(338, timeReference % 4294967296, true);
+            view.setUint32(342, Math.floor(timeReference / 4294967296), true);
+            // version
+            view.setUint16(346, 1, true);
+            chunks.push(createChunk("bext", bext));
+        }
+
+        // LIST/INFO (zero terminated strings)
+        let info = [
+            ["INAM", metadata.title],
+            ["IART", metadata.artist],
+            ["ICMT", metadata.comment],
+            ["ISFT", metadata.software],
+            ["ICRD", dateText],
+        ]
+            .filter(([, text]) => text)
+            .map(([id, text]) => createChunk(id, textBytes(`${text}\0`)));
+        if (info.length) {
+            chunks.push(
+                createChunk("LIST", concatBytes([textBytes("INFO"), ...info]))
+            );
+        }
+
+        // cue points and labels
+        let markers = metadata.markers || [];
+        if (markers.length) {
+            let cue = new Uint8Array(4 + markers.length * 24);
+            let view = new DataView(cue.buffer);
+            view.setUint32(0, markers.length, true);
+            let labels = [textBytes("adtl")];
+            markers.forEach((marker, index) => {
+                let offset = 4 + index * 24;
+                // cue point ID, play order position
+                view.setUint32(offset, index + 1, true);
+                view.setUint32(offset + 4, marker.position, true);
+                // chunk ID 'data', chunk start, block start
+                cue.set(textBytes("data"), offset + 8);
+                view.setUint32(offset + 12, 0, true);
+                view.setUint32(offset + 16, 0, true);
+                // sample offset
+                view.setUint32(offset + 20, marker.position, true);
+
+                let label = textBytes(`${marker.label || ""}\0`);
+                let labl = new Uint8Array(4 + label.length);
+                new DataView(labl.buffer).setUint32(0, index + 1, true);
+                labl.set(label, 4);
+                labels.push(createChunk("labl", labl));
+            });
+            chunks.push(createChunk("cue ", cue));
+            chunks.push(createChunk("LIST", concatBytes(labels)));
+        }
+
+        return concatBytes(chunks);
+    }
 
-        // RIFF identifier 'RIFF'
-        view.setUint32(0, 1380533830, false);
+    function setUint64(view, offset, value) {
+        view.setUint32(offset, value % 4294967296, true);
+        view.setUint32(offset + 4, Math.floor(value / 4294967296), true);
+    }
+
+    /**
+     * WAV header up to the data chunk length
+     * @param {Number} sampleRate
+     * @param {Number} length data length (-1: unknown, for streaming)
+     * @param {Uint8Array} metadataChunks
+     */
+    function createHeader(sampleRate, length, metadataChunks) {
+        let isStreaming = length < 0;
+        let blockAlign = CHANNELS * BYTES_PER_SAMPLE;
+        // IEEE float needs the fmt extension size (cbSize) and a fact chunk
+        let isFloat = SAMPLE_FORMAT === "float";
+        let fmtLength = isFloat ? 18 : 16;
+        // chunks are word aligned
+        let padLength = isStreaming ? 0 : length % 2;
+        // RF64 (EBU Tech 3306) when 32-bit chunk sizes overflow
+        let chunksLength =
+            8 + fmtLength + (isFloat ? 12 : 0) + metadataChunks.length + 8;
+        let isRf64 =
+            !isStreaming &&
+            (FORCE_RF64 || 4 + chunksLength + length + padLength > 0xffffffff);
+        let ds64Length = isRf64 ? 36 : 0;
+        let headerLength = 12 + ds64Length + chunksLength;
+        let riffLength = headerLength - 8 + length + padLength;
+        // unknown (streaming) or in ds64 (RF64)
+        let isSizeUnknown = isStreaming || isRf64;
+        let header = new Uint8Array(headerLength);
+
+        let view = new DataView(header.buffer);
+
+        // RIFF identifier 'RIFF' or 'RF64'
+        view.setUint32(0, isRf64 ? 1380333108 : 1380533830, false);
         // file length minus RIFF identifier length and file description length
-        view.setUint32(4, 36 + length, true);
+        view.setUint32(4, isSizeUnknown ? 0xffffffff : riffLength, true);
         // RIFF type 'WAVE'
         view.setUint32(8, 1463899717, false);
+
+        let offset = 12;
+        if (isRf64) {
+            // ds64 chunk identifier 'ds64'
+            view.setUint32(offset, 1685272116, false);
+            // ds64 chunk length
+            view.setUint32(offset + 4, 28, true);
+            // 64-bit RIFF size, data size, sample frame count
+            setUint64(view, offset + 8, riffLength);
+            setUint64(view, offset + 16, length);
+            setUint64(view, offset + 24, length / blockAlign);
+            // table length
+            view.setUint32(offset + 32, 0, true);
+            offset += ds64Length;
+        }
+
         // format chunk identifier 'fmt '
-        view.setUint32(12, 1718449184, false);
+        view.setUint32(offset, 1718449184, false);
         // format chunk length
-        view.setUint32(16, 16, true);
-        // sample format (raw)
-        view.setUint16(20, 1, true);
+        view.setUint32(offset + 4, fmtLength, true);
+        // sample format (1: integer PCM, 3: IEEE float)
+        view.setUint16(offset + 8, isFloat ? 3 : 1, true);
         // channel count
-        view.setUint16(22, 1, true);
+        view.setUint16(offset + 10, CHANNELS, true);
         // sample rate
-        view.setUint32(24, sampleRate, true);
+        view.setUint32(offset + 12, sampleRate, true);
         // byte rate (sample rate * block align)
-        view.setUint32(28, sampleRate * BYTES_PER_SAMPLE, true);
+        view.setUint32(offset + 16, sampleRate * blockAlign, true);
         // block align (channel count * bytes per sample)
-        view.setUint16(32, BYTES_PER_SAMPLE, true);
+        view.setUint16(offset + 20, blockAlign, true);
         // bits per sample
-        view.setUint16(34, 8 * BYTES_PER_SAMPLE, true);
+        view.setUint16(offset + 22, BITS_PER_SAMPLE, true);
+        offset += 8 + fmtLength;
+
+        if (isFloat) {
+            // extension size
+            view.setUint16(offset - 2, 0, true);
+            // fact chunk identifier 'fact'
+            view.setUint32(offset, 1717658484, false);
+            // fact chunk length
+            view.setUint32(offset + 4, 4, true);
+            // sample frame count
+            view.setUint32(
+                offset + 8,
+                isSizeUnknown ? 0xffffffff : length / blockAlign,
+                true
+            );
+            offset += 12;
+        }
+
+        header.set(metadataChunks, offset);
+        offset += metadataChunks.length;
+
         // data chunk identifier 'data'
-        view.setUint32(36, 1684108385, false);
+        view.setUint32(offset, 1684108385, false);
         // data chunk length
-        view.setUint32(40, length, true);
+        view.setUint32(offset + 4, isSizeUnknown ? 0xffffffff : length, true);
+
+        return header;
+    }
+
+    /**
+     * Post the data encoded since the last slice
+     * (the first slice starts with a WAV header of unknown length)
+     */
+    function postTimeslice() {
+        let msg = recorded
+            .slice(slicedCount)
+            .map((data) => data.slice().buffer);
+        if (CONTAINER === "wav" && slicedCount === 0) {
+            let header = createHeader(SAMPLE_RATE, -1, new Uint8Array(0));
+            msg.unshift(header.buffer);
+        }
+        slicedCount = recorded.length;
+        slicedLength = 0;
+        postMessage(["timeslice", msg], msg);
+    }
+
+    function dump(sampleRate, metadata) {
+        if (TIMESLICE_LENGTH && slicedLength > 0) {
+            postTimeslice();
+        }
+        slicedCount = 0;
+        slicedLength = 0;
+
+        let length = recordedLength;
+
+        if (CONTAINER === "raw") {
+            let msg = recorded.map((data) => data.buffer);
+            recorded = [];
+            recordedLength = 0;
+            postMessage(msg, msg);
+            return;
+        }
+
+        let metadataChunks = createMetadataChunks(metadata || {}, sampleRate);
+        let header = createHeader(sampleRate, length, metadataChunks);
 
-        for (var i = 0; i < recorded.length; i++) {
-            wav.set(recorded[i], i * bufferLength + 44);
+        // header and recorded data as separate parts of the Blob
+        let msg = [header.buffer].concat(recorded.map((data) => data.buffer));
+        if (length % 2) {
+            msg.push(new ArrayBuffer(1));
         }
 
         recorded = [];
-        let msg = [wav.buffer];
-        postMessage(msg, [msg[0]]);
+        recordedLength = 0;
+        postMessage(msg, msg);
     }
 
     self.onmessage = function (e) {
-        if (e.data[0] === "encode") {
+        if (e.data[0] === "init") {
+            init(e.data[1]);
+        } else if (e.data[0] === "encode") {
             encode(e.data[1]);
         } else if (e.data[0] === "dump") {
-            dump(e.data[1]);
+            dump(e.data[1], e.data[2]);
         } else if (e.data[0] === "close") {
             self.close();
         }
@@ -0,0 +1,198 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadClass, runProcessor } from "./helpers.mjs";
+
+const Resampler = loadClass("Resampler.js");
+const LevelMeter = loadClass("LevelMeter.js");
+
+function sine(length, frequency, sampleRate) {
+    const buffer = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        buffer[i] = 0.5 * Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+    }
+    return buffer;
+}
+
+/**
+ * render quantum (128 프레임) 단위로 입력
+ */
+function feed(processor, input) {
+    for (let offset = 0; offset < input.length; offset += 128) {
+        processor.process([[input.subarray(offset, offset + 128)]], [[]]);
+    }
+}
+
+/**
+ * 메인 스레드처럼 프레임을 풀에 반환
+ */
+function recycle(processor, message) {
+    const buffers = message.buffers.concat(message.resampledBuffers || []);
+    processor.port.onmessage({
+        data: structuredClone(
+            {
+                command: "recycle",
+                buffers: message.buffers,
+                resampledBuffers: message.resampledBuffers,
+            },
+            { transfer: buffers.map((buffer) => buffer.buffer) }
+        ),
+    });
+}
+
+test("resampled frames carry their valid length", () => {
+    const bufferSize = 1024;
+    const { processor, posted } = runProcessor(
+        "AudioProcessor.js",
+        Resampler.toSource(),
+        48000,
+        {
+            bufferSize,
+            channelCount: 1,
+            sampleRate: 16000,
+            resamplerQuality: "medium",
+        }
+    );
+    processor.port.onmessage({ data: { command: "reset" } });
+
+    const input = sine(48000 + 300, 440, 48000);
+    const output = [];
+    for (let offset = 0; offset < input.length; offset += 128) {
+        processor.process([[input.subarray(offset, offset + 128)]], [[]]);
+        while (posted.length) {
+            const message = posted.shift();
+            const resampled = message.resampledBuffers[0];
+            assert.ok(message.resampledLength <= resampled.length);
+            output.push(...resampled.subarray(0, message.resampledLength));
+            assert.equal(message.dropped, 0);
+            recycle(processor, message);
+        }
+    }
+    processor.port.onmessage({ data: { command: "flush" } });
+    const flushed = posted.shift();
+    assert.equal(flushed.flushed, true);
+    output.push(...flushed.resampledBuffers[0]);
+
+    const expected = Math.round((input.length * 16000) / 48000);
+    assert.equal(output.length, expected);
+    const reference = new Resampler(48000, 16000, 1, input, "medium");
+    const whole = Array.from(reference.process(input));
+    whole.push(...reference.flush(expected - whole.length));
+    const error = output.reduce(
+        (max, sample, i) => Math.max(max, Math.abs(sample - whole[i])),
+        0
+    );
+    assert.ok(error < 1e-5, `max error ${error}`);
+});
+
+test("an empty frame pool drops the oldest frames instead of allocating", () => {
+    const bufferSize = 1024;
+    const { processor, posted } = runProcessor(
+        "AudioProcessor.js",
+        Resampler.toSource(),
+        48000,
+        { bufferSize, channelCount: 1, sampleRate: 48000 }
+    );
+    processor.port.onmessage({ data: { command: "reset" } });
+
+    // 반환하지 않으면 풀의 4 프레임만 전송
+    const input = sine(bufferSize * 20, 440, 48000);
+    feed(processor, input);
+    assert.equal(posted.length, 4);
+    assert.equal(processor.pool.length, 0);
+
+    processor.port.onmessage({ data: { command: "flush" } });
+    const flushed = posted.at(-1);
+    assert.equal(flushed.flushed, true);
+    // 보낸 프레임 + 버린 프레임 + 링 버퍼에 남은 최신 프레임 = 입력
+    assert.equal(
+        4 * bufferSize + flushed.dropped + flushed.buffers[0].length,
+        input.length
+    );
+    assert.equal(flushed.buffers[0].length, 4 * bufferSize);
+    assert.deepEqual(
+        flushed.buffers[0],
+        input.subarray(input.length - flushed.buffers[0].length)
+    );
+    // 앞의 프레임은 순서대로 전송
+    posted.slice(0, 4).forEach((message, i) => {
+        assert.deepEqual(
+            message.buffers[0],
+            input.subarray(i * bufferSize, (i + 1) * bufferSize)
+        );
+    });
+});
+
+test("the direct encoder channel transfers frames and sends the flush marker last", () => {
+    const bufferSize = 256;
+    const { processor, posted } = runProcessor(
+        "AudioProcessor.js",
+        Resampler.toSource(),
+        48000,
+        { bufferSize, channelCount: 1, sampleRate: 48000 }
+    );
+    const sent = [];
+    const port = {
+        postMessage: (message, transfer) =>
+            sent.push(structuredClone(message, { transfer: transfer || [] })),
+    };
+    processor.port.onmessage({ data: { command: "encoder", port } });
+    processor.port.onmessage({ data: { command: "reset" } });
+
+    // 인코딩 Worker 가 반환할 때까지 프레임은 풀에서 제외
+    const input = Float32Array.from({ length: 1024 + 100 }, (v, i) => i);
+    feed(processor, input);
+    assert.equal(sent.length, 4);
+    assert.equal(processor.pool.length, 0);
+    sent.forEach((message, i) => {
+        assert.equal(message[0], "frame");
+        assert.deepEqual(
+            message[1].buffers[0],
+            input.subarray(i * bufferSize, (i + 1) * bufferSize)
+        );
+    });
+    // 메인 스레드에는 샘플 수만 전송
+    assert.deepEqual(
+        posted.map((message) => message.encoded),
+        [bufferSize, bufferSize, bufferSize, bufferSize]
+    );
+
+    sent.splice(0).forEach((message) =>
+        port.onmessage({ data: ["recycle", message[1]] })
+    );
+    assert.equal(processor.pool.length, 4);
+
+    processor.port.onmessage({ data: { command: "flush" } });
+    assert.deepEqual(
+        sent.map((message) => message[0]),
+        ["encode", "flushed"]
+    );
+    assert.deepEqual(sent[0][1][0], input.subarray(1024));
+    assert.deepEqual(sent[1], ["flushed", input.length - 1024, 0]);
+});
+
+test("levels are metered per render quantum, including dropped frames", () => {
+    const { processor, posted } = runProcessor(
+        "AudioProcessor.js",
+        Resampler.toSource() + LevelMeter.toSource(),
+        48000,
+        {
+            bufferSize: 1024,
+            channelCount: 1,
+            sampleRate: 48000,
+            levelInterval: 100,
+        }
+    );
+    processor.port.onmessage({ data: { command: "reset" } });
+
+    // 프레임을 반환하지 않아 풀이 비어도 레벨은 계속 전송
+    const input = sine(48000, 440, 48000);
+    feed(processor, input);
+    const levels = posted.filter((message) => message.level);
+    assert.ok(processor.dropped > 0);
+    assert.equal(levels.length, Math.floor(48000 / (38 * 128)));
+    levels.forEach(({ level }) => {
+        assert.equal(level.length, 38 * 128);
+        const expected = 20 * Math.log10(0.5 / Math.SQRT2);
+        assert.ok(Math.abs(level.dbfs[0] - expected) < 0.1);
+    });
+});
@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadClass, runProcessor } from "./helpers.mjs";
+
+const EncoderPort = loadClass("EncoderPort.js");
+const Resampler = loadClass("Resampler.js");
+
+/**
+ * MessageChannel (deliver() 를 호출할 때까지 메시지를 쌓아 두고, transfer 후 구조화된 복제)
+ */
+function channel() {
+    const queue = [];
+    const post = (target) => (message, transfer) =>
+        queue.push([
+            target,
+            structuredClone(message, { transfer: transfer || [] }),
+        ]);
+    const port1 = {};
+    const port2 = {};
+    port1.postMessage = post(port2);
+    port2.postMessage = post(port1);
+    return {
+        port1,
+        port2,
+        deliver() {
+            while (queue.length) {
+                const [target, data] = queue.shift();
+                target.onmessage({ data });
+            }
+        },
+    };
+}
+
+/**
+ * EncoderPort 를 붙인 인코딩 Worker (받은 "encode" 버퍼를 기록)
+ * @returns {{send: Function, encoded: Array<Float32Array>, toMain: Array}}
+ */
+function encoderWorker() {
+    const listeners = [];
+    const encoded = [];
+    const toMain = [];
+    const scope = {
+        addEventListener: (type, listener) => listeners.push(listener),
+        postMessage: (message) => toMain.push(message),
+        onmessage: (e) => {
+            if (e.data[0] === "encode") {
+                encoded.push(e.data[1][0].slice());
+            }
+        },
+    };
+    // 인코딩 Worker 스크립트 앞에 추가되는 소스 그대로 실행
+    new Function("self", EncoderPort.toWorkerSource())(scope);
+    return {
+        send(message) {
+            const event = { data: message };
+            listeners.forEach((listener) => listener(event));
+            scope.onmessage(event);
+        },
+        encoded,
+        toMain,
+    };
+}
+
+test("frames go back to the processor even when the main thread never reads", () => {
+    const bufferSize = 256;
+    const { processor, posted } = runProcessor(
+        "AudioProcessor.js",
+        Resampler.toSource(),
+        48000,
+        { bufferSize, channelCount: 1, sampleRate: 16000 }
+    );
+    const worker = encoderWorker();
+    const { port1, port2, deliver } = channel();
+    processor.port.onmessage({ data: { command: "encoder", port: port1 } });
+    worker.send(["port", port2, true]);
+    processor.port.onmessage({ data: { command: "reset" } });
+
+    // 메인 스레드가 멈춘 상태: posted, toMain 메시지를 처리하지 않음
+    const input = Float32Array.from(
+        { length: bufferSize * 40 + 100 },
+        (v, i) => Math.sin(i / 10)
+    );
+    for (let offset = 0; offset < input.length; offset += 128) {
+        processor.process([[input.subarray(offset, offset + 128)]], [[]]);
+        deliver();
+    }
+    processor.port.onmessage({ data: { command: "flush" } });
+    deliver();
+
+    const flushed = worker.toMain.at(-1);
+    assert.equal(flushed[0], "flushed");
+    assert.equal(flushed[2], 0);
+    assert.ok(posted.every((message) => !message.dropped));
+    assert.equal(processor.pool.length, 4);
+
+    // 모든 입력을 인코딩, 리스너용 복사본은 인코딩한 프레임과 같음
+    const length = worker.encoded.reduce((sum, buffer) => sum + buffer.length, 0);
+    assert.equal(length, Math.round(input.length / 3));
+    const copies = worker.toMain.filter((message) => message[0] === "audioprocess");
+    assert.equal(copies.length, 40);
+    copies.forEach((message, i) => {
+        assert.equal(message[1].encoded, worker.encoded[i].length);
+        assert.deepEqual(message[1].resampledBuffers[0], worker.encoded[i]);
+        assert.deepEqual(
+            message[1].buffers[0],
+            input.subarray(i * bufferSize, (i + 1) * bufferSize)
+        );
+    });
+});
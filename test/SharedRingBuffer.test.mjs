@@ -0,0 +1,135 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadClass, runProcessor } from "./helpers.mjs";
+
+const SharedRingBuffer = loadClass("SharedRingBuffer.js");
+const Resampler = loadClass("Resampler.js");
+
+/**
+ * 0, 1, 2, ... 순서의 프레임 (읽은 위치 확인용)
+ */
+function ramp(start, length) {
+    return Float32Array.from({ length }, (v, i) => start + i);
+}
+
+test("overflow of a required reader drops writes and counts them", () => {
+    const state = SharedRingBuffer.create(1000, 1, 1);
+    const ring = new SharedRingBuffer(state);
+    assert.equal(state.capacity, 1024);
+
+    let written = 0;
+    for (let i = 0; i < 5; i++) {
+        if (ring.write([ramp(i * 300, 300)], 300)) {
+            written++;
+        }
+    }
+    assert.equal(written, 3);
+    assert.equal(ring.dropped(), 600);
+    assert.equal(ring.writeIndex(), 900);
+    assert.deepEqual(ring.read(0)[0], ramp(0, 900));
+});
+
+test("a lagging lossy reader does not hold back the encoder reader", () => {
+    // reader 0: 메인 스레드 (손실 허용), 1: 인코딩 Worker
+    const state = SharedRingBuffer.create(1024, 1, 2, [true]);
+    const writer = new SharedRingBuffer(state);
+    const main = new SharedRingBuffer(state);
+    const encoder = new SharedRingBuffer(state);
+
+    const encoded = [];
+    for (let i = 0; i < 20; i++) {
+        assert.equal(writer.write([ramp(i * 300, 300)], 300), true);
+        encoded.push(...encoder.read(1)[0]);
+    }
+    assert.equal(writer.dropped(), 0);
+    assert.deepEqual(Float32Array.from(encoded), ramp(0, 6000));
+
+    // 메인 스레드는 최근 capacity 프레임만 읽고 나머지는 건너뜀
+    const latest = main.read(0)[0];
+    assert.deepEqual(latest, ramp(6000 - 1024, 1024));
+    assert.equal(main.skipped(0), 6000 - 1024);
+    assert.equal(main.skipped(1), 0);
+    assert.equal(main.read(0), undefined);
+});
+
+test("a lossy reader discards frames overwritten while it was reading", () => {
+    const state = SharedRingBuffer.create(1024, 1, 2, [true]);
+    const writer = new SharedRingBuffer(state);
+    const main = new SharedRingBuffer(state);
+    const encoder = new SharedRingBuffer(state);
+    writer.write([ramp(0, 1000)], 1000);
+    encoder.read(1);
+
+    // 메인 스레드가 복사하는 도중 writer 가 앞부분을 덮어씀
+    let written = false;
+    main.data = new Proxy(main.data, {
+        get(target, key) {
+            if (key === "500" && !written) {
+                written = true;
+                writer.write([ramp(1000, 600)], 600);
+            }
+            const value = Reflect.get(target, key);
+            return typeof value === "function" ? value.bind(target) : value;
+        },
+    });
+    const buffers = main.read(0);
+    assert.equal(written, true);
+    // 0 ~ 575 은 덮어쓸 수 있었으므로 버리고, 읽기 시작 시 쓰기 위치 (1000) 까지 반환
+    assert.equal(main.skipped(0), 1600 - 1024);
+    assert.deepEqual(buffers[0], ramp(1600 - 1024, 1000 - (1600 - 1024)));
+    main.data = writer.data;
+    assert.deepEqual(main.read(0)[0], ramp(1000, 600));
+});
+
+test("a required reader still limits writes when a lossy reader is idle", () => {
+    const state = SharedRingBuffer.create(1024, 1, 2, [true]);
+    const ring = new SharedRingBuffer(state);
+    for (let i = 0; i < 4; i++) {
+        ring.write([ramp(i * 300, 300)], 300);
+    }
+    assert.equal(ring.dropped(), 300);
+    assert.deepEqual(ring.read(1)[0], ramp(0, 900));
+});
+
+test("without cross-origin isolation the processor falls back to postMessage", () => {
+    assert.equal(globalThis.crossOriginIsolated, undefined);
+    assert.equal(SharedRingBuffer.isAvailable(), false);
+    globalThis.crossOriginIsolated = true;
+    try {
+        assert.equal(SharedRingBuffer.isAvailable(), true);
+    } finally {
+        delete globalThis.crossOriginIsolated;
+    }
+
+    const options = { bufferSize: 256, channelCount: 1, sampleRate: 48000 };
+    const input = ramp(0, 1024);
+    const feed = (processor) => {
+        processor.port.onmessage({ data: { command: "reset" } });
+        for (let offset = 0; offset < input.length; offset += 128) {
+            processor.process([[input.subarray(offset, offset + 128)]], [[]]);
+        }
+    };
+
+    // 링 버퍼 없음 -> 프레임 메시지
+    const fallback = runProcessor(
+        "AudioProcessor.js",
+        Resampler.toSource() + SharedRingBuffer.toSource(),
+        48000,
+        options
+    );
+    feed(fallback.processor);
+    assert.equal(fallback.posted.length, 4);
+    assert.deepEqual(fallback.posted[3].buffers[0], ramp(768, 256));
+
+    // 링 버퍼 -> 메시지 없이 링 버퍼에 쓰기
+    const state = SharedRingBuffer.create(2048, 1, 2, [true]);
+    const shared = runProcessor(
+        "AudioProcessor.js",
+        Resampler.toSource() + SharedRingBuffer.toSource(),
+        48000,
+        { ...options, sharedRing: state }
+    );
+    feed(shared.processor);
+    assert.equal(shared.posted.length, 0);
+    assert.deepEqual(new SharedRingBuffer(state).read(1)[0], input);
+});
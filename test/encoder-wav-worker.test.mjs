@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runWorker } from "./helpers.mjs";
+
+/**
+ * RIFF chunk 목록 (id -> { offset, length })
+ */
+function readChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const text = (offset) =>
+        String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    assert.equal(text(0), "RIFF");
+    assert.equal(text(8), "WAVE");
+    const chunks = { riffLength: view.getUint32(4, true) };
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset + 4, true);
+        chunks[text(offset)] = { offset: offset + 8, length: length };
+        offset += 8 + length + (length % 2);
+    }
+    return chunks;
+}
+
+function concat(buffers) {
+    const bytes = new Uint8Array(
+        buffers.reduce((sum, buffer) => sum + buffer.byteLength, 0)
+    );
+    let offset = 0;
+    buffers.forEach((buffer) => {
+        bytes.set(new Uint8Array(buffer), offset);
+        offset += buffer.byteLength;
+    });
+    return bytes;
+}
+
+/**
+ * 고르지 않은 크기의 조각과 짧은 마지막 조각을 인코딩하고 헤더, 데이터 확인
+ */
+function encodeChunks(bitDepth, channels, chunkSizes) {
+    const worker = runWorker("encoder-wav-worker.js");
+    worker.send(["init", { sampleRate: 16000, channels, bitDepth }]);
+
+    const max = 2 ** (bitDepth - 1) - 1;
+    const expected = [];
+    let position = 0;
+    chunkSizes.forEach((size) => {
+        const buffers = [];
+        for (let channel = 0; channel < channels; channel++) {
+            buffers.push(new Float32Array(size));
+        }
+        for (let i = 0; i < size; i++, position++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = Math.sin(position * 0.01 + channel) * 0.9;
+                buffers[channel][i] = sample;
+                const value = Math.fround(sample) * max;
+                expected.push(Math.sign(value) * Math.round(Math.abs(value)));
+            }
+        }
+        worker.send(["encode", buffers]);
+    });
+    worker.send(["dump", 16000]);
+
+    assert.equal(worker.posted.length, 1);
+    const bytes = concat(worker.posted[0]);
+    const chunks = readChunks(bytes);
+    const view = new DataView(bytes.buffer);
+    const bytesPerSample = bitDepth / 8;
+    const frameCount = chunkSizes.reduce((sum, size) => sum + size, 0);
+    const dataLength = frameCount * channels * bytesPerSample;
+
+    // RIFF 길이 = 파일 길이 - 8 (홀수 data chunk 는 1 byte 패딩)
+    assert.equal(bytes.length % 2, 0);
+    assert.equal(chunks.riffLength, bytes.length - 8);
+    assert.equal(chunks.data.length, dataLength);
+    assert.equal(view.getUint16(chunks["fmt "].offset + 2, true), channels);
+    assert.equal(view.getUint16(chunks["fmt "].offset + 14, true), bitDepth);
+    // 샘플 수 = data 길이 / block align
+    const blockAlign = view.getUint16(chunks["fmt "].offset + 12, true);
+    assert.equal(blockAlign, channels * bytesPerSample);
+    assert.equal(chunks.data.length / blockAlign, frameCount);
+
+    const actual = [];
+    for (let i = 0; i < expected.length; i++) {
+        const index = chunks.data.offset + i * bytesPerSample;
+        actual.push(
+            bitDepth === 16
+                ? view.getInt16(index, true)
+                : (view.getUint16(index, true) | (view.getInt8(index + 2) << 16))
+        );
+    }
+    assert.deepEqual(actual, expected);
+}
+
+test("16-bit stereo, uneven chunks with a short last chunk", () => {
+    encodeChunks(16, 2, [1, 160, 37, 4096, 513, 3]);
+});
+
+test("24-bit mono, odd data length is padded", () => {
+    encodeChunks(24, 1, [7, 2048, 129, 1]);
+});
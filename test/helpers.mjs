@@ -0,0 +1,88 @@
+import { readFileSync } from "node:fs";
+
+/**
+ * src/ 의 Worker / Worklet 스크립트 본문 (RecorderService.createWorker 와 같은 방식)
+ * @param {String} file src/ 기준 파일 이름
+ * @returns {String}
+ */
+export function workerBody(file) {
+    const source = readFileSync(new URL(`../src/${file}`, import.meta.url), "utf8");
+    return source
+        .slice(source.indexOf("function"), source.lastIndexOf("};") + 1)
+        .replace(/^function.{0,1}(worker|).{0,1}\(\).{0,1}{/, "")
+        .replace(/}$/, "");
+}
+
+/**
+ * src/ 의 export default class / 생성자 소스를 평가 (Resampler, SharedRingBuffer, EncoderPort, LevelMeter)
+ * @param {String} file src/ 기준 파일 이름
+ * @returns {Function} 클래스
+ */
+export function loadClass(file) {
+    const source = readFileSync(new URL(`../src/${file}`, import.meta.url), "utf8");
+    const name = source.match(/export default (?:class )?(\w+)/)[1];
+    return new Function(
+        `${source
+            .replace("export default class", "class")
+            .replace(`export default ${name};`, "")}\nreturn ${name};`
+    )();
+}
+
+/**
+ * 인코딩 Worker 를 현재 스레드에서 실행
+ * @param {String} file src/ 기준 파일 이름
+ * @returns {{send: Function, posted: Array}} send(message) -> self.onmessage, posted -> postMessage 로 보낸 메시지
+ */
+export function runWorker(file) {
+    const listeners = [];
+    const self = {
+        addEventListener: (type, listener) => listeners.push(listener),
+        close() {},
+    };
+    const posted = [];
+    new Function("self", "postMessage", workerBody(file))(self, (message) =>
+        posted.push(message)
+    );
+    return {
+        send(message) {
+            const event = { data: message };
+            listeners.forEach((listener) => listener(event));
+            self.onmessage(event);
+        },
+        posted,
+    };
+}
+
+/**
+ * AudioWorklet 프로세서를 현재 스레드에서 실행 (port 메시지는 transfer 후 구조화된 복제)
+ * @param {String} file src/ 기준 파일 이름
+ * @param {String} dependencies 앞에 추가할 소스 (Resampler.toSource() 등)
+ * @param {Number} sampleRate AudioContext 샘플링 레이트
+ * @param {Object} processorOptions
+ * @returns {{processor: Object, posted: Array}} posted -> port.postMessage 로 보낸 메시지
+ */
+export function runProcessor(file, dependencies, sampleRate, processorOptions) {
+    const posted = [];
+    class AudioWorkletProcessor {
+        constructor() {
+            this.port = {
+                postMessage: (message, transfer) =>
+                    posted.push(
+                        structuredClone(message, { transfer: transfer || [] })
+                    ),
+            };
+        }
+    }
+    let Processor;
+    new Function(
+        "AudioWorkletProcessor",
+        "registerProcessor",
+        "sampleRate",
+        dependencies + workerBody(file)
+    )(
+        AudioWorkletProcessor,
+        (name, processor) => (Processor = processor),
+        sampleRate
+    );
+    return { processor: new Processor({ processorOptions }), posted };
+}